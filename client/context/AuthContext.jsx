@@ -8,6 +8,28 @@ import { io } from "socket.io-client";
 const backendUrl = import.meta.env.VITE_BACKEND_URL;
 axios.defaults.baseURL = backendUrl;
 
+// set (or clear) the access token on every axios request (two common header styles)
+const applyToken = (accessToken) => {
+  if (accessToken) {
+    axios.defaults.headers.common["token"] = accessToken;
+    axios.defaults.headers.common["Authorization"] = `Bearer ${accessToken}`;
+    return;
+  }
+  try {
+    delete axios.defaults.headers.common["token"];
+  } catch {
+    axios.defaults.headers.common["token"] = null;
+  }
+  try {
+    delete axios.defaults.headers.common["Authorization"];
+  } catch {
+    axios.defaults.headers.common["Authorization"] = null;
+  }
+};
+
+// the refresh in flight, so concurrent 401s wait for the same request
+let refreshPromise = null;
+
 // ---- CONTEXT ----
 export const AuthContext = createContext();
 
@@ -25,7 +47,7 @@ export const AuthProvider = ({ children }) => {
       const { data } = await axios.get("/api/auth/check");
       if (data?.success) {
         setAuthUser(data.user);
-        connectSocket(data.user);
+        connectSocket(token);
       } else {
         setAuthUser(null);
       }
@@ -36,23 +58,65 @@ export const AuthProvider = ({ children }) => {
   };
 
   /**
-   * Login (state = "signup" | "login")
+   * Keep the access / refresh token pair in storage and on axios
+   */
+  const storeTokens = (accessToken, refreshToken) => {
+    applyToken(accessToken);
+    setToken(accessToken);
+    localStorage.setItem("token", accessToken);
+    if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
+  };
+
+  /**
+   * Exchange the refresh token for a new access token; resolves to the new
+   * access token, or null when the session can't be renewed
+   */
+  const refreshAccessToken = () => {
+    if (refreshPromise) return refreshPromise;
+
+    const usedRefreshToken = localStorage.getItem("refreshToken");
+    if (!usedRefreshToken) return Promise.resolve(null);
+
+    refreshPromise = axios
+      .post("/api/auth/refresh", { refreshToken: usedRefreshToken })
+      .then(({ data }) => {
+        if (!data?.success) throw new Error(data?.message || "Refresh failed");
+        storeTokens(data.token, data.refreshToken);
+        return data.token;
+      })
+      .catch(() => {
+        // another tab may have rotated the token at the same time, use its result
+        const latestRefreshToken = localStorage.getItem("refreshToken");
+        const latestToken = localStorage.getItem("token");
+        if (latestRefreshToken && latestRefreshToken !== usedRefreshToken && latestToken) {
+          storeTokens(latestToken);
+          return latestToken;
+        }
+        return null;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+    return refreshPromise;
+  };
+
+  /**
+   * Login (state = "signup" | "login" | "login/2fa")
+   * With 2FA on, "login" resolves to { twoFactorRequired, challengeToken } and
+   * the session starts once "login/2fa" gets { challengeToken, code }.
    */
   const login = async (state, credentials) => {
     try {
       const { data } = await axios.post(`/api/auth/${state}`, credentials);
+      if (data?.twoFactorRequired) return data;
       if (data?.success) {
         const user = data.userData ?? data.user;
         setAuthUser(user);
 
-        // set token into axios headers for further requests (two common header styles)
-        axios.defaults.headers.common["token"] = data.token;
-        axios.defaults.headers.common["Authorization"] = `Bearer ${data.token}`;
+        // keep tokens for further requests
+        storeTokens(data.token, data.refreshToken);
 
-        setToken(data.token);
-        localStorage.setItem("token", data.token);
-
-        connectSocket(user);
+        connectSocket(data.token);
         toast.success(data.message || "Logged in");
         return data;
       } else {
@@ -71,30 +135,22 @@ export const AuthProvider = ({ children }) => {
    */
   const logout = async ({ redirect = true, redirectTo = "/login", showToast = true } = {}) => {
     try {
-      // Notify backend (if implemented)
+      // Revoke the refresh token on the server; local cleanup happens either way
       try {
-        await axios.post("/api/auth/logout");
-      } catch (err) {
-        // Not all backends implement logout, ignore
+        await axios.post("/api/auth/logout", { refreshToken: localStorage.getItem("refreshToken") });
+      } catch (error) {
+        console.warn("logout request failed:", error?.message || error);
       }
 
       // Local cleanup
       localStorage.removeItem("token");
+      localStorage.removeItem("refreshToken");
       setToken(null);
       setAuthUser(null);
       setOnlineUsers([]);
 
-      // Remove axios headers safely
-      try {
-        delete axios.defaults.headers.common["token"];
-      } catch {
-        axios.defaults.headers.common["token"] = null;
-      }
-      try {
-        delete axios.defaults.headers.common["Authorization"];
-      } catch {
-        axios.defaults.headers.common["Authorization"] = null;
-      }
+      // Remove axios headers
+      applyToken(null);
 
       // Disconnect socket safely
       if (socket && typeof socket.disconnect === "function") {
@@ -142,14 +198,237 @@ export const AuthProvider = ({ children }) => {
   };
 
   /**
-   * Connect socket.io
+   * Run an auth request that only reports back through a toast
+   */
+  const authRequest = async (request, fallbackMessage) => {
+    try {
+      const { data } = await request();
+      if (data?.success) toast.success(data.message);
+      else toast.error(data?.message || fallbackMessage);
+      return data;
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error?.message || fallbackMessage);
+    }
+  };
+
+  /**
+   * Change the password (requires the current one); other devices get signed out
+   */
+  const changePassword = (currentPassword, newPassword) =>
+    authRequest(
+      () => axios.put("/api/auth/change-password", { currentPassword, newPassword }),
+      "Could not change the password"
+    );
+
+  /**
+   * Mail a password reset link
+   */
+  const requestPasswordReset = (email) =>
+    authRequest(() => axios.post("/api/auth/forgot-password", { email }), "Could not send the reset link");
+
+  /**
+   * Choose a new password with the token from a reset link
+   */
+  const resetPassword = (resetToken, password) =>
+    authRequest(
+      () => axios.post("/api/auth/reset-password", { token: resetToken, password }),
+      "Could not reset the password"
+    );
+
+  /**
+   * Confirm the email address with the token from the verification mail
+   */
+  const verifyEmail = async (verificationToken) => {
+    const data = await authRequest(
+      () => axios.post("/api/auth/verify-email", { token: verificationToken }),
+      "Could not verify the email address"
+    );
+    if (data?.success) {
+      setAuthUser((prev) => (prev?._id === data.userId ? { ...prev, emailVerified: true } : prev));
+    }
+    return data;
+  };
+
+  /**
+   * Send the verification mail again
+   */
+  const resendVerification = () =>
+    authRequest(() => axios.post("/api/auth/resend-verification"), "Could not send the verification email");
+
+  /**
+   * Start enabling 2FA: resolves to { secret, otpauthUrl } to show as a QR code
+   */
+  const setupTwoFactor = async () => {
+    try {
+      const { data } = await axios.post("/api/auth/2fa/setup");
+      if (data?.success) return data;
+      toast.error(data?.message || "Could not start two-factor setup");
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error?.message || "Could not start two-factor setup");
+    }
+    return null;
+  };
+
+  /**
+   * Confirm 2FA with a code from the app; resolves with the one-time recovery codes
+   */
+  const enableTwoFactor = async (code) => {
+    const data = await authRequest(() => axios.post("/api/auth/2fa/enable", { code }), "Could not enable 2FA");
+    if (data?.success) setAuthUser((prev) => ({ ...prev, twoFactor: { ...prev?.twoFactor, enabled: true } }));
+    return data;
+  };
+
+  /**
+   * Turn 2FA off (needs the password and a code or recovery code)
+   */
+  const disableTwoFactor = async (password, code) => {
+    const data = await authRequest(
+      () => axios.post("/api/auth/2fa/disable", { password, code }),
+      "Could not disable 2FA"
+    );
+    if (data?.success) setAuthUser((prev) => ({ ...prev, twoFactor: { ...prev?.twoFactor, enabled: false } }));
+    return data;
+  };
+
+  /**
+   * Devices the user is signed in on
+   */
+  const getSessions = async () => {
+    try {
+      const { data } = await axios.get("/api/auth/sessions");
+      if (data?.success) return data.sessions;
+      toast.error(data?.message || "Could not load sessions");
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error?.message || "Could not load sessions");
+    }
+    return null;
+  };
+
+  /**
+   * Sign out one session, or every other session when no id is given
    */
-  const connectSocket = (userData) => {
-    if (socket?.connected) return;
+  const revokeSession = (sessionId) =>
+    authRequest(
+      () => (sessionId ? axios.delete(`/api/auth/sessions/${sessionId}`) : axios.delete("/api/auth/sessions")),
+      "Could not sign out the session"
+    );
 
+  /**
+   * Download everything the server stores about the user (format = "json" | "zip")
+   */
+  const exportAccountData = async (format = "json") => {
     try {
+      const { data } = await axios.get("/api/auth/export", { params: { format }, responseType: "blob" });
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `chattrix-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      // some browsers start the download after click() returns, so keep the file around a bit
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      return true;
+    } catch (error) {
+      console.error("export error:", error?.message || error);
+      toast.error("Could not export your data");
+      return false;
+    }
+  };
+
+  /**
+   * Delete the account for good (needs the password), then clear everything locally
+   */
+  const deleteAccount = async (password) => {
+    const data = await authRequest(
+      () => axios.delete("/api/auth/account", { data: { password } }),
+      "Could not delete the account"
+    );
+    if (data?.success) await logout({ showToast: false });
+    return data;
+  };
+
+  /**
+   * Who may sign up: { mode, allowedDomains, inviteRequired }; null if it can't be loaded
+   */
+  const getSignupPolicy = async () => {
+    try {
+      const { data } = await axios.get("/api/auth/signup-policy");
+      if (data?.success) return data.policy;
+    } catch (error) {
+      console.error("signup policy error:", error?.message || error);
+    }
+    return null;
+  };
+
+  /**
+   * Invite codes the user created (invite-only registration)
+   */
+  const getInvites = async () => {
+    try {
+      const { data } = await axios.get("/api/auth/invites");
+      if (data?.success) return data.invites;
+      toast.error(data?.message || "Could not load invites");
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error?.message || "Could not load invites");
+    }
+    return null;
+  };
+
+  const createInvite = (maxUses) =>
+    authRequest(() => axios.post("/api/auth/invites", { maxUses }), "Could not create the invite");
+
+  const revokeInvite = (inviteId) =>
+    authRequest(() => axios.delete(`/api/auth/invites/${inviteId}`), "Could not revoke the invite");
+
+  // ---- ADMIN ----
+
+  /**
+   * GET an admin endpoint; resolves to the response data or null (after a toast)
+   */
+  const adminGet = async (url, params, fallbackMessage) => {
+    try {
+      const { data } = await axios.get(url, { params });
+      if (data?.success) return data;
+      toast.error(data?.message || fallbackMessage);
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error?.message || fallbackMessage);
+    }
+    return null;
+  };
+
+  const getAdminStats = (days) => adminGet("/api/admin/stats", { days }, "Could not load the stats");
+
+  const searchAdminUsers = (q, page = 1) => adminGet("/api/admin/users", { q, page }, "Could not load users");
+
+  /**
+   * Act on a user as an admin (action = "suspend" | "unsuspend" | "reset-password" | "logout")
+   */
+  const manageUser = (userId, action, body) =>
+    authRequest(() => axios.post(`/api/admin/users/${userId}/${action}`, body), "Could not update the user");
+
+  const getReports = (status) => adminGet("/api/admin/reports", { status }, "Could not load reports");
+
+  const triageReport = (reportId, status) =>
+    authRequest(() => axios.patch(`/api/admin/reports/${reportId}`, { status }), "Could not update the report");
+
+  /**
+   * Close a report (action = "dismiss" | "deleteMessage" | "suspendUser")
+   */
+  const resolveReport = (reportId, action, note) =>
+    authRequest(
+      () => axios.post(`/api/admin/reports/${reportId}/resolve`, { action, note }),
+      "Could not resolve the report"
+    );
+
+  /**
+   * Connect socket.io, authenticating the handshake with the JWT
+   */
+  const connectSocket = (authToken) => {
+    if (socket?.connected || !authToken) return;
+
+    try {
+      // read the token on every (re)connect so reconnects use the latest access token
       const newSocket = io(backendUrl, {
-        query: { userId: userData?._id },
+        auth: (cb) => cb({ token: localStorage.getItem("token") || authToken }),
         transports: ["websocket"],
       });
 
@@ -159,8 +438,18 @@ export const AuthProvider = ({ children }) => {
         if (Array.isArray(userIds)) setOnlineUsers(userIds);
       });
 
-      newSocket.on("connect_error", (err) => {
+      // this device was signed out from another one
+      newSocket.on("sessionRevoked", () => {
+        toast.error("This session was signed out");
+        logout({ showToast: false });
+      });
+
+      newSocket.on("connect_error", async (err) => {
         console.warn("Socket connection error:", err.message);
+        // the access token expired while disconnected: renew it and retry
+        if (err.message === "Invalid token" && (await refreshAccessToken())) {
+          newSocket.connect();
+        }
       });
     } catch (err) {
       console.warn("connectSocket error:", err);
@@ -169,23 +458,40 @@ export const AuthProvider = ({ children }) => {
 
   // ---- EFFECTS ----
 
-  // Set axios token header on mount
+  // Renew an expired access token on a 401 and replay the request once;
+  // registered before the mount effect so checkAuth already goes through it
   useEffect(() => {
-    if (token) {
-      axios.defaults.headers.common["token"] = token;
-      axios.defaults.headers.common["Authorization"] = `Bearer ${token}`;
-    } else {
-      try {
-        delete axios.defaults.headers.common["token"];
-      } catch {
-        axios.defaults.headers.common["token"] = null;
-      }
-      try {
-        delete axios.defaults.headers.common["Authorization"];
-      } catch {
-        axios.defaults.headers.common["Authorization"] = null;
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const request = error.config;
+        const isAuthCall = /\/api\/auth\/(login|login\/2fa|signup|refresh|logout)$/.test(request?.url || "");
+        if (error.response?.status !== 401 || !request || request._retried || isAuthCall) {
+          return Promise.reject(error);
+        }
+
+        request._retried = true;
+        const newToken = await refreshAccessToken();
+        if (!newToken) {
+          if (authUser) {
+            toast.error("Your session has expired, please log in again");
+            logout({ showToast: false });
+          }
+          return Promise.reject(error);
+        }
+
+        request.headers["token"] = newToken;
+        request.headers["Authorization"] = `Bearer ${newToken}`;
+        return axios(request);
       }
-    }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [socket, authUser]);
+
+  // Set axios token header on mount
+  useEffect(() => {
+    applyToken(token);
     checkAuth();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
@@ -213,6 +519,28 @@ export const AuthProvider = ({ children }) => {
     logout,
     updateProfile,
     checkAuth,
+    getSessions,
+    revokeSession,
+    changePassword,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    exportAccountData,
+    deleteAccount,
+    getSignupPolicy,
+    getInvites,
+    createInvite,
+    revokeInvite,
+    getAdminStats,
+    searchAdminUsers,
+    manageUser,
+    getReports,
+    triageReport,
+    resolveReport,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
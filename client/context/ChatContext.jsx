@@ -1,95 +1,576 @@
-import { createContext, useContext, useState,useEffect} from "react";
+import { createContext, useContext, useState, useEffect, useRef } from "react";
+import toast from "react-hot-toast";
 import { AuthContext } from "./AuthContext";
 
+export const ChatContext = createContext();
 
-export const ChatContext = createContext ();
-
-export const ChatProvider = ({ children })=>{
-
-  const[messages,setMessages]=useState([]);
-  const [users,setUsers]=useState([]);
-  const [selectedUser,setSelectedUser]=useState(null)
-  const [unseenMessages,setUnseenMessages]=useState({})
-  
-  const {socket,axios} =useContext(AuthContext);
-
-// function to get all users for sidebar
-const getUsers = async () =>{
-try {
-const { data } = await axios. get("/api/messages/users" );
-if (data. success) {
-setUsers(data.users)
-setUnseenMessages (data. unseenMessages)
-}
-} catch (error) {
-toast. error(error.message)
-}
-}
-
-// function to get messages for selected user
-const getMessages = async (userId)=>{
-try {
-const { data } = await axios.get(`/api/messages/${userId}`);
-if (data.success){
-setMessages(data.messages)
-}
-} catch (error) {
-toast.error(error.message)
-}
-}
-
-// function to send message to selected user
-const sendMessage = async (messageData)=>{
-try {
-const {data} = await axios.post (`/api/messages/send/${selectedUser._id}`
-, messageData);
-if(data.success) {
-setMessages((prevMessages) => [ ...prevMessages, data. newMessage] )
-}else{
-  toast. error(data.message);
-} 
-}
-catch (error) {
-toast.error(error.message);
-}
-}
-
-// function to subscribe to messages for selected user
-const subscribeToMessages = async () =>{
-if(!socket) return;
-socket.on("newMessage", (newMessage)=>{
-if(selectedUser && newMessage.senderId === selectedUser._id) {
-newMessage.seen = true;
-setMessages ( (prevMessages)=> [...prevMessages, newMessage ] ) ;
-axios.put (`/api/messages/mark/${newMessage._id}` );
-}else{
-    setUnseenMessages ( (prevUnseenMessages )=> ({
-...prevUnseenMessages, [ newMessage.senderId] :
-prevUnseenMessages [newMessage.senderId] ? prevUnseenMessages
-[ newMessage.senderId] + 1 : 1
-}))
-
- }   
-})
-}
-
-
-// function to unsubscribe from messages
-const unsubscribeFromMessages = ()=>{
-if(socket) socket. off( "newMessage");
-}
-useEffect (()=>{
-subscribeToMessages ();
-return ()=> unsubscribeFromMessages () ;
-}, [ socket, selectedUser ] )
-
-
-const value = {
- messages,users,selectedUser,getUsers,getMessages,sendMessage,setSelectedUser,unseenMessages,setUnseenMessages
-}
-return (
-<ChatContext.Provider value={value}>
-{ children }
-</ChatContext.Provider>
-)
-}
+// re-announce typing at most this often while keys keep coming
+const TYPING_THROTTLE_MS = 2000;
+// stop announcing typing after this long without a keystroke
+const TYPING_IDLE_MS = 3000;
+// files above this size are sent in chunks through a resumable upload session
+const CHUNKED_UPLOAD_THRESHOLD = 5 * 1024 * 1024;
+// longest wait between two attempts at a chunk while the connection is down
+const MAX_RETRY_DELAY_MS = 30000;
+
+// resolve after `ms`, or as soon as the browser is back online; rejects when `signal` aborts
+const waitToRetry = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const done = () => {
+      clearTimeout(timer);
+      window.removeEventListener("online", done);
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    };
+    const abort = () => {
+      done();
+      reject(signal.reason);
+    };
+    const timer = setTimeout(done, ms);
+    window.addEventListener("online", done);
+    signal?.addEventListener("abort", abort);
+  });
+
+export const ChatProvider = ({ children }) => {
+  const [messages, setMessages] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [selectedGroup, setSelectedGroup] = useState(null);
+  const [unseenMessages, setUnseenMessages] = useState({});
+  const [hasMoreMessages, setHasMoreMessages] = useState(false);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+  // { [groupId or userId of a direct chat]: [ids of users typing there] }
+  const [typingUsers, setTypingUsers] = useState({});
+
+  // url of the chat whose messages are loaded, so late responses for another chat are dropped
+  const activeChatUrl = useRef(null);
+  // where the user is currently announced as typing: { payload, lastSentAt, idleTimer }
+  const typingState = useRef(null);
+
+  const { socket, axios, authUser } = useContext(AuthContext);
+
+  // function to get all users for sidebar
+  const getUsers = async () => {
+    try {
+      const { data } = await axios.get("/api/messages/users");
+      if (data.success) {
+        setUsers(data.users);
+        // keep the open chat's copy fresh (presence, last seen, profile changes)
+        setSelectedUser((prev) => (prev && data.users.find((u) => u._id === prev._id)) || prev);
+        setUnseenMessages((prev) => ({ ...prev, ...data.unseenMessages }));
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // function to get the groups the user belongs to
+  const getGroups = async () => {
+    try {
+      const { data } = await axios.get("/api/conversations");
+      if (data.success) {
+        setGroups(data.conversations);
+        setUnseenMessages((prev) => ({ ...prev, ...data.unseenMessages }));
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // load the newest page of a chat, or the page before the `before` message id
+  const fetchMessages = async (url, before) => {
+    if (!before) activeChatUrl.current = url;
+    try {
+      const { data } = await axios.get(url, { params: { before } });
+      if (activeChatUrl.current !== url) return false;
+      if (data.success) {
+        setMessages((prevMessages) => (before ? [...data.messages, ...prevMessages] : data.messages));
+        setHasMoreMessages(data.hasMore);
+      } else {
+        toast.error(data.message);
+      }
+      return data.success;
+    } catch (error) {
+      toast.error(error.message);
+      return false;
+    }
+  };
+
+  // function to get messages for selected user (older ones when `before` is a message id)
+  const getMessages = (userId, before) => fetchMessages(`/api/messages/${userId}`, before);
+
+  // function to get messages for selected group (older ones when `before` is a message id)
+  const getGroupMessages = (groupId, before) => fetchMessages(`/api/messages/group/${groupId}`, before);
+
+  // function to load the page before the oldest loaded message of the open chat,
+  // resolves to whether a page was loaded
+  const loadOlderMessages = async () => {
+    if (!hasMoreMessages || isLoadingOlder || messages.length === 0) return false;
+    const oldest = messages.reduce((a, b) => (new Date(a.createdAt) <= new Date(b.createdAt) ? a : b));
+    setIsLoadingOlder(true);
+    const loaded = selectedGroup
+      ? await getGroupMessages(selectedGroup._id, oldest._id)
+      : await getMessages(selectedUser._id, oldest._id);
+    setIsLoadingOlder(false);
+    return loaded;
+  };
+
+  // function to send message to selected user or group
+  const sendMessage = async (messageData) => {
+    try {
+      const url = selectedGroup
+        ? `/api/messages/send/group/${selectedGroup._id}`
+        : `/api/messages/send/${selectedUser._id}`;
+      const { data } = await axios.post(url, messageData);
+      if (data.success) {
+        appendMessage(data.newMessage);
+      } else {
+        toast.error(data.message);
+      }
+      return data;
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error.message);
+    }
+  };
+
+  // upload a file to send with the next message (multipart, streamed by the server to storage);
+  // large files, or a `sessionId` to resume, go through uploadInChunks.
+  // resolves to { _id, name, mimeType, size, url }, or null when it failed or was cancelled through `signal`
+  const uploadFile = async (file, { type = file.type, onProgress, signal, sessionId, onSessionStart } = {}) => {
+    try {
+      if (sessionId || file.size > CHUNKED_UPLOAD_THRESHOLD) {
+        return await uploadInChunks(file, { type, onProgress, signal, sessionId, onSessionStart });
+      }
+      const form = new FormData();
+      form.append("file", new Blob([file], { type }), file.name);
+      const { data } = await axios.post("/api/uploads", form, {
+        signal,
+        onUploadProgress: (event) => onProgress?.(event.total ? event.loaded / event.total : 0),
+      });
+      if (data.success) return data.upload;
+      toast.error(data.message);
+    } catch (error) {
+      if (!axios.isCancel(error) && !signal?.aborted) toast.error(error?.response?.data?.message || error.message);
+    }
+    return null;
+  };
+
+  // Resumable upload: the file goes up in chunks, each written where the server says the upload is at.
+  // A dropped connection or server hiccup is retried (with backoff, sooner when the browser is back online)
+  // from the last chunk the server has, and `sessionId` continues an upload started before a reload.
+  // onSessionStart(sessionId) lets the caller keep the id to resume with.
+  const uploadInChunks = async (file, { type, onProgress, signal, sessionId, onSessionStart }) => {
+    let session = null;
+    if (sessionId) {
+      try {
+        ({ data: { session } } = await axios.get(`/api/uploads/sessions/${sessionId}`, { signal }));
+      } catch (error) {
+        // expired or gone: start over
+        if (error?.response?.status !== 404) throw error;
+      }
+    }
+    if (!session) {
+      const { data } = await axios.post(
+        "/api/uploads/sessions",
+        { name: file.name, mimeType: type, size: file.size },
+        { signal }
+      );
+      if (!data.success) throw new Error(data.message);
+      session = data.session;
+      onSessionStart?.(session._id);
+    }
+
+    const url = `/api/uploads/sessions/${session._id}`;
+    // stop the session on the server as well when the caller cancels
+    const cancel = () => axios.delete(url).catch(() => {});
+    signal?.addEventListener("abort", cancel, { once: true });
+
+    try {
+      let { offset } = session;
+      let retryDelay = 1000;
+      while (!session.complete && offset < file.size) {
+        try {
+          const chunk = file.slice(offset, offset + session.chunkSize);
+          const { data } = await axios.put(url, chunk, {
+            signal,
+            headers: { "Content-Type": "application/offset+octet-stream", "Upload-Offset": offset },
+            onUploadProgress: (event) => onProgress?.((offset + event.loaded) / file.size),
+          });
+          offset = data.session.offset;
+          retryDelay = 1000;
+          onProgress?.(offset / file.size);
+        } catch (error) {
+          if (axios.isCancel(error)) throw error;
+          const status = error?.response?.status;
+          // 409: out of step with the server (e.g. a chunk that did arrive before the connection dropped)
+          if (status && status !== 409 && status < 500) throw error;
+          await waitToRetry(retryDelay, signal);
+          retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+          try {
+            ({ data: { session } } = await axios.get(url, { signal }));
+            offset = session.offset;
+          } catch (syncError) {
+            if (axios.isCancel(syncError) || syncError?.response?.status === 404) throw syncError;
+          }
+        }
+      }
+
+      const { data } = await axios.post(`${url}/complete`, null, { signal });
+      if (!data.success) throw new Error(data.message);
+      signal?.removeEventListener("abort", cancel);
+      return data.upload;
+    } catch (error) {
+      signal?.removeEventListener("abort", cancel);
+      throw error;
+    }
+  };
+
+  // drop an upload that won't be sent after all
+  const discardUpload = async (uploadId) => {
+    try {
+      await axios.delete(`/api/uploads/${uploadId}`);
+    } catch {
+      // the server removes unsent uploads by itself eventually
+    }
+  };
+
+  // users the logged in user blocked, for the profile page
+  const getBlockedUsers = async () => {
+    try {
+      const { data } = await axios.get("/api/auth/blocked");
+      if (data.success) return data.blockedUsers;
+      toast.error(data.message);
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error.message);
+    }
+    return null;
+  };
+
+  // block or unblock a user; the sidebar is reloaded since presence changes along with it
+  const setUserBlocked = async (userId, blocked) => {
+    try {
+      const { data } = blocked
+        ? await axios.put(`/api/auth/blocked/${userId}`)
+        : await axios.delete(`/api/auth/blocked/${userId}`);
+      if (data.success) {
+        toast.success(data.message);
+        await getUsers();
+      } else {
+        toast.error(data.message);
+      }
+      return data;
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error.message);
+    }
+  };
+
+  // report a message or a user to the moderators
+  const reportContent = async (report) => {
+    try {
+      const { data } = await axios.post("/api/reports", report);
+      if (data.success) toast.success(data.message);
+      else toast.error(data.message);
+      return data;
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error.message);
+    }
+  };
+
+  // function to tell the other participants of the open chat that the user is typing;
+  // call it on every keystroke, it is throttled and stops by itself when keys stop
+  const startTyping = () => {
+    if (!socket || (!selectedUser && !selectedGroup)) return;
+    const payload = selectedGroup ? { conversationId: selectedGroup._id } : { userId: selectedUser._id };
+
+    const current = typingState.current;
+    const sameChat =
+      current && current.payload.conversationId === payload.conversationId && current.payload.userId === payload.userId;
+    if (current && !sameChat) stopTyping();
+
+    const now = Date.now();
+    const state = sameChat ? current : { payload, lastSentAt: 0 };
+    if (now - state.lastSentAt >= TYPING_THROTTLE_MS) {
+      socket.emit("typing:start", payload);
+      state.lastSentAt = now;
+    }
+    clearTimeout(state.idleTimer);
+    state.idleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+    typingState.current = state;
+  };
+
+  // function to stop announcing that the user is typing
+  const stopTyping = () => {
+    const current = typingState.current;
+    if (!current) return;
+    clearTimeout(current.idleTimer);
+    typingState.current = null;
+    socket?.emit("typing:stop", current.payload);
+  };
+
+  const setTyping = ({ userId, conversationId }, isTyping) => {
+    const key = conversationId || userId;
+    setTypingUsers((prev) => {
+      const others = (prev[key] || []).filter((id) => id !== userId);
+      return { ...prev, [key]: isTyping ? [...others, userId] : others };
+    });
+  };
+
+  // add a message to the open chat unless it is already there; the user's own messages
+  // arrive both in the send response and as an echo for their other devices
+  const appendMessage = (message) => {
+    setMessages((prevMessages) =>
+      prevMessages.some((m) => m._id === message._id) ? prevMessages : [...prevMessages, message]
+    );
+  };
+
+  // patch a loaded message in place with the latest copy from the server,
+  // along with the quoted snapshot of any loaded reply to it
+  const replaceMessage = (message) => {
+    setMessages((prevMessages) =>
+      prevMessages.map((m) => {
+        if (m._id === message._id) return message;
+        if (m.replyTo?._id === message._id) {
+          const { text, image, deletedForEveryone } = message;
+          return { ...m, replyTo: { ...m.replyTo, text, image, deletedForEveryone } };
+        }
+        return m;
+      })
+    );
+  };
+
+  // function to edit the text of one of the user's messages
+  const editMessage = async (messageId, text) => {
+    try {
+      const { data } = await axios.patch(`/api/messages/${messageId}`, { text });
+      if (data.success) {
+        replaceMessage(data.updatedMessage);
+      } else {
+        toast.error(data.message);
+      }
+      return data;
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error.message);
+    }
+  };
+
+  // function to delete a message just for the user ("me") or for everyone
+  const deleteMessage = async (messageId, scope = "me") => {
+    try {
+      const { data } = await axios.delete(`/api/messages/${messageId}`, { params: { for: scope } });
+      if (data.success) {
+        if (scope === "everyone") {
+          replaceMessage(data.updatedMessage);
+        } else {
+          setMessages((prevMessages) => prevMessages.filter((m) => m._id !== messageId));
+        }
+      } else {
+        toast.error(data.message);
+      }
+      return data;
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error.message);
+    }
+  };
+
+  // function to add or remove the user's emoji reaction on a message
+  const toggleReaction = async (messageId, emoji) => {
+    try {
+      const { data } = await axios.post(`/api/messages/${messageId}/reactions`, { emoji });
+      if (data.success) {
+        patchReactions(data);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error.message);
+    }
+  };
+
+  // apply delivered / read updates for messages the user sent
+  const patchStatuses = ({ statuses }) => {
+    const byId = Object.fromEntries(statuses.map((status) => [status._id, status]));
+    setMessages((prevMessages) =>
+      prevMessages.map((m) => {
+        const status = byId[m._id];
+        if (!status) return m;
+        const { deliveredAt, readAt, receipts } = status;
+        return { ...m, deliveredAt, readAt, receipts };
+      })
+    );
+  };
+
+  const patchReactions = ({ messageId, reactions }) => {
+    setMessages((prevMessages) =>
+      prevMessages.map((m) => (m._id === messageId ? { ...m, reactions } : m))
+    );
+  };
+
+  // replace a group in the list (or add it) with the latest copy from the server
+  const upsertGroup = (group) => {
+    setGroups((prev) => [group, ...prev.filter((g) => g._id !== group._id)]);
+    setSelectedGroup((prev) => (prev?._id === group._id ? group : prev));
+  };
+
+  // run a group request and keep local group state in sync with the response
+  const groupRequest = async (request, successMessage) => {
+    try {
+      const { data } = await request();
+      if (data.success) {
+        if (data.conversation) upsertGroup(data.conversation);
+        if (successMessage) toast.success(successMessage);
+      } else {
+        toast.error(data.message);
+      }
+      return data;
+    } catch (error) {
+      toast.error(error?.response?.data?.message || error.message);
+    }
+  };
+
+  const createGroup = (body) =>
+    groupRequest(() => axios.post("/api/conversations", body), "Group created");
+
+  const updateGroup = (groupId, body) =>
+    groupRequest(() => axios.patch(`/api/conversations/${groupId}`, body), "Group updated");
+
+  const addGroupMembers = (groupId, members) =>
+    groupRequest(() => axios.post(`/api/conversations/${groupId}/members`, { members }), "Members added");
+
+  const removeGroupMember = (groupId, userId) =>
+    groupRequest(() => axios.delete(`/api/conversations/${groupId}/members/${userId}`), "Member removed");
+
+  const setGroupAdmin = (groupId, userId, makeAdmin) =>
+    groupRequest(() =>
+      makeAdmin
+        ? axios.put(`/api/conversations/${groupId}/admins/${userId}`)
+        : axios.delete(`/api/conversations/${groupId}/admins/${userId}`)
+    );
+
+  const leaveGroup = async (groupId) => {
+    const data = await groupRequest(() => axios.post(`/api/conversations/${groupId}/leave`), "You left the group");
+    if (data?.success) {
+      setGroups((prev) => prev.filter((g) => g._id !== groupId));
+      setSelectedGroup((prev) => (prev?._id === groupId ? null : prev));
+    }
+    return data;
+  };
+
+  // function to subscribe to messages for selected user or group
+  const subscribeToMessages = () => {
+    if (!socket) return;
+    // acknowledging the event is what marks the message delivered on the server
+    socket.on("newMessage", (newMessage, ack) => {
+      if (typeof ack === "function") ack();
+      const isGroupMessage = !newMessage.receiverId;
+      // sent by the user from another device
+      const isOwn = newMessage.senderId === authUser?._id;
+      const peerId = isOwn ? newMessage.receiverId : newMessage.senderId;
+      if (!isOwn) {
+        setTyping({ userId: newMessage.senderId, conversationId: isGroupMessage ? newMessage.conversationId : null }, false);
+      }
+      const isOpen = isGroupMessage
+        ? selectedGroup && newMessage.conversationId === selectedGroup._id
+        : selectedUser && peerId === selectedUser._id;
+
+      if (isOpen) {
+        if (!isOwn) axios.put(`/api/messages/mark/${newMessage._id}`);
+        appendMessage(newMessage);
+      } else if (!isOwn) {
+        const key = isGroupMessage ? newMessage.conversationId : newMessage.senderId;
+        setUnseenMessages((prevUnseenMessages) => ({
+          ...prevUnseenMessages,
+          [key]: prevUnseenMessages[key] ? prevUnseenMessages[key] + 1 : 1,
+        }));
+      }
+    });
+
+    socket.on("messageUpdated", replaceMessage);
+    socket.on("messageDeleted", replaceMessage);
+    socket.on("messageReaction", patchReactions);
+    socket.on("messageStatus", patchStatuses);
+
+    socket.on("typing:start", (payload) => setTyping(payload, true));
+    socket.on("typing:stop", (payload) => setTyping(payload, false));
+
+    socket.on("conversationUpdated", upsertGroup);
+
+    socket.on("conversationRemoved", ({ conversationId }) => {
+      setGroups((prev) => prev.filter((g) => g._id !== conversationId));
+      setSelectedGroup((prev) => (prev?._id === conversationId ? null : prev));
+    });
+
+    // the user blocked or unblocked someone from another device
+    socket.on("blockUpdated", getUsers);
+
+    // someone deleted their account
+    socket.on("userDeleted", ({ userId, messagesRemoved }) => {
+      setUsers((prev) => prev.filter((u) => u._id !== userId));
+      setSelectedUser((prev) => (prev?._id === userId ? null : prev));
+      setUnseenMessages((prev) => {
+        const { [userId]: _removed, ...rest } = prev;
+        return rest;
+      });
+      if (messagesRemoved) setMessages((prev) => prev.filter((m) => m.senderId !== userId));
+    });
+  };
+
+  // function to unsubscribe from messages
+  const unsubscribeFromMessages = () => {
+    if (!socket) return;
+    socket.off("newMessage");
+    socket.off("messageUpdated");
+    socket.off("messageDeleted");
+    socket.off("messageReaction");
+    socket.off("messageStatus");
+    socket.off("typing:start");
+    socket.off("typing:stop");
+    socket.off("conversationUpdated");
+    socket.off("conversationRemoved");
+    socket.off("blockUpdated");
+    socket.off("userDeleted");
+  };
+
+  useEffect(() => {
+    subscribeToMessages();
+    return () => unsubscribeFromMessages();
+  }, [socket, selectedUser, selectedGroup]);
+
+  const value = {
+    messages,
+    users,
+    groups,
+    selectedUser,
+    selectedGroup,
+    getUsers,
+    getBlockedUsers,
+    setUserBlocked,
+    reportContent,
+    getGroups,
+    getMessages,
+    getGroupMessages,
+    hasMoreMessages,
+    isLoadingOlder,
+    loadOlderMessages,
+    sendMessage,
+    uploadFile,
+    discardUpload,
+    startTyping,
+    stopTyping,
+    typingUsers,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+    setSelectedUser,
+    setSelectedGroup,
+    unseenMessages,
+    setUnseenMessages,
+    createGroup,
+    updateGroup,
+    addGroupMembers,
+    removeGroupMember,
+    setGroupAdmin,
+    leaveGroup,
+  };
+  return <ChatContext.Provider value={value}>{children}</ChatContext.Provider>;
+};
@@ -1,8 +1,11 @@
 import React, { useContext } from "react";
 import { Navigate, Route, Routes } from "react-router-dom";
+import AdminPage from "./pages/AdminPage";
 import HomePage from "./pages/HomePage";
 import LoginPage from "./pages/LoginPage";
 import ProfilePage from "./pages/ProfilePage";
+import ResetPasswordPage from "./pages/ResetPasswordPage";
+import VerifyEmailPage from "./pages/VerifyEmailPage";
 import { Toaster } from "react-hot-toast";
 import { AuthContext } from "../context/AuthContext";
 
@@ -12,9 +15,23 @@ const App = () => {
     <div className="bg-[url('/bgImage.svg')] bg-contain">
       <Toaster />
       <Routes>
-        <Route path="/" element={authUser ? <HomePage /> : <Navigate to="/login" />} />
+        <Route
+          path="/"
+          element={
+            !authUser ? (
+              <Navigate to="/login" />
+            ) : authUser.emailVerified === false ? (
+              <Navigate to="/verify-email" />
+            ) : (
+              <HomePage />
+            )
+          }
+        />
         <Route path="/login" element={!authUser ? <LoginPage /> : <Navigate to="/" />} />
         <Route path="/profile" element={authUser ? <ProfilePage /> : <Navigate to="/login" />} />
+        <Route path="/admin" element={authUser?.role === "admin" ? <AdminPage /> : <Navigate to="/" />} />
+        <Route path="/verify-email" element={<VerifyEmailPage />} />
+        <Route path="/reset-password" element={!authUser ? <ResetPasswordPage /> : <Navigate to="/" />} />
       </Routes>
     </div>
   );
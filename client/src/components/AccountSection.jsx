@@ -0,0 +1,102 @@
+// AccountSection.jsx
+import React, { useContext, useState } from "react";
+import { AuthContext } from "../../context/AuthContext";
+
+/**
+ * "Your data" card of the ProfilePage: download everything stored about the
+ * account as JSON or ZIP, or delete the account after confirming the password.
+ */
+const AccountSection = () => {
+  const { exportAccountData, deleteAccount } = useContext(AuthContext);
+
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const [password, setPassword] = useState("");
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    await exportAccountData(format);
+    setExportingFormat(null);
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setIsDeleting(true);
+    const data = await deleteAccount(password);
+    // on success the user is logged out and leaves the page
+    if (!data?.success) setIsDeleting(false);
+  };
+
+  return (
+    <section className="w-full max-w-3xl rounded-2xl border border-white/10 bg-white/5 backdrop-blur-xl shadow-2xl p-6 sm:p-8">
+      <h3 className="text-xl font-semibold tracking-tight text-white">Your data</h3>
+      <p className="text-xs text-white/60 mt-1 mb-4">
+        Your profile, sessions, chats and every message you sent or received. Images are listed as links.
+      </p>
+
+      <div className="flex flex-wrap gap-2">
+        {["json", "zip"].map((format) => (
+          <button
+            key={format}
+            type="button"
+            onClick={() => handleExport(format)}
+            disabled={exportingFormat !== null}
+            className="text-xs px-4 py-2 rounded-full border border-white/15 text-white/80 hover:bg-white/10 disabled:opacity-50 transition"
+          >
+            {exportingFormat === format ? "Preparing…" : `Download ${format.toUpperCase()}`}
+          </button>
+        ))}
+      </div>
+
+      <div className="mt-6 pt-5 border-t border-white/10">
+        <h4 className="text-sm font-semibold text-rose-300">Delete account</h4>
+        <p className="text-xs text-white/60 mt-1 mb-3">
+          This can't be undone. You leave every group, your uploaded images are removed and you are signed out everywhere.
+        </p>
+
+        {!isConfirmingDelete ? (
+          <button
+            type="button"
+            onClick={() => setIsConfirmingDelete(true)}
+            className="text-xs px-4 py-2 rounded-full border border-rose-400/40 text-rose-300 hover:bg-rose-500/10 transition"
+          >
+            Delete my account
+          </button>
+        ) : (
+          <form onSubmit={handleDelete} className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Confirm with your password"
+              aria-label="Password"
+              required
+              className="flex-1 p-3 rounded-lg bg-white/5 text-white placeholder-white/40 border border-white/10 outline-none focus:border-rose-400 focus:ring-2 focus:ring-rose-400/40 transition"
+            />
+            <button
+              type="submit"
+              disabled={isDeleting}
+              className="px-5 py-2.5 rounded-full text-sm font-semibold text-white bg-rose-600 hover:bg-rose-500 disabled:opacity-60 transition"
+            >
+              {isDeleting ? "Deleting…" : "Delete forever"}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setIsConfirmingDelete(false);
+                setPassword("");
+              }}
+              className="px-4 py-2 rounded-full text-sm text-white/80 border border-white/10 hover:bg-white/5 transition"
+            >
+              Cancel
+            </button>
+          </form>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default AccountSection;
@@ -0,0 +1,142 @@
+// AttachmentCard.jsx
+import React, { useState } from "react";
+import { attachmentKind, formatFileSize } from "../lib/attachments";
+
+// characters of a text file shown in the preview
+const TEXT_PREVIEW_LIMIT = 20000;
+
+const KIND_STYLES = {
+  image: "from-sky-500 to-cyan-600",
+  pdf: "from-rose-500 to-red-600",
+  text: "from-slate-400 to-slate-600",
+  document: "from-blue-500 to-indigo-600",
+  video: "from-fuchsia-500 to-purple-600",
+  archive: "from-amber-500 to-orange-600",
+};
+
+// extension badge in a colored tile, e.g. "PDF" or "ZIP"
+const FileIcon = ({ attachment }) => {
+  const kind = attachmentKind(attachment.mimeType);
+  const extension = attachment.name.includes(".") ? attachment.name.split(".").pop().slice(0, 4).toUpperCase() : "FILE";
+  return (
+    <div
+      className={`shrink-0 w-10 h-12 rounded-md bg-gradient-to-br ${
+        KIND_STYLES[kind] || "from-gray-500 to-gray-700"
+      } flex items-end justify-center pb-1.5 shadow-inner`}
+      aria-hidden
+    >
+      <span className="text-[9px] font-bold tracking-wide text-white">{extension}</span>
+    </div>
+  );
+};
+
+/**
+ * One file attached to a message: icon, name, size and a download button;
+ * PDFs, text files and videos can be previewed inline.
+ */
+const AttachmentCard = ({ attachment }) => {
+  const kind = attachmentKind(attachment.mimeType);
+  const canPreview = kind === "pdf" || kind === "text" || kind === "video";
+
+  const [isPreviewOpen, setIsPreviewOpen] = useState(false);
+  const [text, setText] = useState(null);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const togglePreview = async () => {
+    const open = !isPreviewOpen;
+    setIsPreviewOpen(open);
+    if (!open || kind !== "text" || text !== null) return;
+    try {
+      const response = await fetch(attachment.url);
+      const content = await response.text();
+      setText(content.length > TEXT_PREVIEW_LIMIT ? `${content.slice(0, TEXT_PREVIEW_LIMIT)}\n…` : content);
+    } catch {
+      setText("Preview unavailable.");
+    }
+  };
+
+  // save under the original name; cross-origin storage ignores <a download>, so the file is fetched first
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      const response = await fetch(attachment.url);
+      if (!response.ok) throw new Error(response.statusText);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = attachment.name;
+      link.click();
+      // the download may start after click() returns; release the blob once it has
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch {
+      window.open(attachment.url, "_blank", "noopener");
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <div className="w-full min-w-[220px] rounded-xl bg-black/20 border border-white/10 overflow-hidden">
+      <div className="flex items-center gap-3 p-2.5">
+        {kind === "image" ? (
+          <img
+            src={attachment.thumbnailUrl || attachment.url}
+            alt=""
+            loading="lazy"
+            className="shrink-0 w-10 h-12 rounded-md object-cover"
+          />
+        ) : (
+          <FileIcon attachment={attachment} />
+        )}
+        <div className="flex-1 min-w-0">
+          <p className="text-sm text-white truncate" title={attachment.name}>
+            {attachment.name}
+          </p>
+          <p className="text-[11px] text-white/60">{formatFileSize(attachment.size)}</p>
+        </div>
+        {canPreview && (
+          <button
+            type="button"
+            onClick={togglePreview}
+            className="shrink-0 text-xs px-2 py-1 rounded-full text-white/80 hover:bg-white/10 transition"
+            aria-expanded={isPreviewOpen}
+          >
+            {isPreviewOpen ? "Hide" : "Preview"}
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={handleDownload}
+          disabled={isDownloading}
+          className="shrink-0 p-2 rounded-full hover:bg-white/10 disabled:opacity-50 transition"
+          aria-label={`Download ${attachment.name}`}
+          title="Download"
+        >
+          <svg className="w-4 h-4 text-white/80" viewBox="0 0 24 24" fill="none" aria-hidden>
+            <path
+              d="M12 4v11m0 0l-4-4m4 4l4-4M5 19h14"
+              stroke="currentColor"
+              strokeWidth="1.8"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          </svg>
+        </button>
+      </div>
+
+      {isPreviewOpen && kind === "pdf" && (
+        <iframe src={attachment.url} title={attachment.name} className="w-full h-80 bg-white border-t border-white/10" />
+      )}
+      {isPreviewOpen && kind === "video" && (
+        <video src={attachment.url} controls preload="metadata" className="w-full max-h-80 bg-black border-t border-white/10" />
+      )}
+      {isPreviewOpen && kind === "text" && (
+        <pre className="max-h-64 overflow-auto border-t border-white/10 p-3 text-xs text-white/80 whitespace-pre-wrap break-words">
+          {text ?? "Loading…"}
+        </pre>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentCard;
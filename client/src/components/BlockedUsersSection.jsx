@@ -0,0 +1,72 @@
+// BlockedUsersSection.jsx
+import React, { useContext, useEffect, useState } from "react";
+import assets from "../assets/assets";
+import { ChatContext } from "../../context/ChatContext";
+
+/**
+ * "Blocked users" card of the ProfilePage. Blocked users can't message the user
+ * and neither side sees the other online; each can be unblocked from here.
+ */
+const BlockedUsersSection = () => {
+  const { getBlockedUsers, setUserBlocked } = useContext(ChatContext);
+
+  const [blockedUsers, setBlockedUsers] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    getBlockedUsers().then((list) => {
+      if (list) setBlockedUsers(list);
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleUnblock = async (user) => {
+    setBusyId(user._id);
+    const data = await setUserBlocked(user._id, false);
+    setBusyId(null);
+    if (data?.success) setBlockedUsers((prev) => prev.filter((u) => u._id !== user._id));
+  };
+
+  return (
+    <section className="w-full max-w-3xl rounded-2xl border border-white/10 bg-white/5 backdrop-blur-xl shadow-2xl p-6 sm:p-8">
+      <h3 className="text-xl font-semibold tracking-tight text-white">Blocked users</h3>
+      <p className="text-xs text-white/60 mt-1 mb-4">
+        They can't message you and you don't see each other online.
+      </p>
+
+      {!blockedUsers ? (
+        <p className="text-sm text-white/60">Loading…</p>
+      ) : blockedUsers.length === 0 ? (
+        <p className="text-sm text-white/60">You haven't blocked anyone.</p>
+      ) : (
+        <ul className="flex flex-col divide-y divide-white/10">
+          {blockedUsers.map((user) => (
+            <li key={user._id} className="flex items-center justify-between gap-4 py-3">
+              <div className="flex items-center gap-3 min-w-0">
+                <img
+                  src={user.profilePic || assets.avatar_icon}
+                  alt=""
+                  className="w-9 h-9 rounded-full object-cover"
+                />
+                <div className="min-w-0">
+                  <p className="text-sm text-white truncate">{user.fullName}</p>
+                  <p className="text-xs text-white/60 truncate">{user.email}</p>
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleUnblock(user)}
+                disabled={busyId === user._id}
+                className="shrink-0 text-xs px-3 py-1.5 rounded-full border border-white/15 text-white/80 hover:bg-white/10 disabled:opacity-50 transition"
+              >
+                Unblock
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default BlockedUsersSection;
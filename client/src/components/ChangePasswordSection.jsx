@@ -0,0 +1,91 @@
+// ChangePasswordSection.jsx
+import React, { useContext, useState } from "react";
+import toast from "react-hot-toast";
+import { AuthContext } from "../../context/AuthContext";
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const inputClass =
+  "p-3 rounded-lg bg-white/5 text-white placeholder-white/40 border border-white/10 outline-none focus:border-indigo-400 focus:ring-2 focus:ring-indigo-400/50 transition";
+
+/**
+ * "Password" card of the ProfilePage. Changing the password needs the current
+ * one and signs out every other device.
+ */
+const ChangePasswordSection = () => {
+  const { changePassword } = useContext(AuthContext);
+
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      toast.error(`Use at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      toast.error("Passwords don't match.");
+      return;
+    }
+    setIsSubmitting(true);
+    const data = await changePassword(currentPassword, newPassword);
+    setIsSubmitting(false);
+    if (data?.success) {
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+    }
+  };
+
+  return (
+    <section className="w-full max-w-3xl rounded-2xl border border-white/10 bg-white/5 backdrop-blur-xl shadow-2xl p-6 sm:p-8">
+      <h3 className="text-xl font-semibold tracking-tight text-white">Password</h3>
+      <p className="text-xs text-white/60 mt-1 mb-4">Other devices will be signed out.</p>
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <input
+          type="password"
+          autoComplete="current-password"
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          placeholder="Current password"
+          aria-label="Current password"
+          required
+          className={inputClass}
+        />
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          placeholder="New password"
+          aria-label="New password"
+          required
+          className={inputClass}
+        />
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          placeholder="Confirm new password"
+          aria-label="Confirm new password"
+          required
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="sm:col-span-3 justify-self-start inline-flex items-center justify-center bg-gradient-to-r from-purple-500 to-indigo-600 text-white px-5 py-2.5 rounded-full text-sm font-semibold shadow-lg hover:opacity-95 disabled:opacity-60 transition cursor-pointer"
+        >
+          {isSubmitting ? "Saving…" : "Change password"}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default ChangePasswordSection;
@@ -1,79 +1,372 @@
 // ChatContainer.jsx
-import React, { useContext, useEffect, useRef, useState } from "react";
+import React, { useContext, useEffect, useLayoutEffect, useRef, useState } from "react";
 import assets from "../assets/assets";
-import { formatMessageTime } from "../lib/utils";
+import MessageBubble from "./MessageBubble";
+import LastSeen from "./LastSeen";
+import ReportModal from "./ReportModal";
+import { messagePreview, typingLabel } from "../lib/utils";
+import {
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENTS_SIZE,
+  attachmentError,
+  attachmentKind,
+  fileType,
+  formatFileSize,
+} from "../lib/attachments";
+import { deletePendingUpload, loadPendingUploads, savePendingUpload } from "../lib/pendingUploads";
 import { ChatContext } from "../../context/ChatContext";
 import { AuthContext } from "../../context/AuthContext";
 import toast from "react-hot-toast";
 
 const ChatContainer = () => {
-  const { messages = [], selectedUser, setSelectedUser, sendMessage, getMessages } =
-    useContext(ChatContext) || {};
+  const {
+    messages = [],
+    users = [],
+    selectedUser,
+    setSelectedUser,
+    selectedGroup,
+    setSelectedGroup,
+    sendMessage,
+    uploadFile,
+    discardUpload,
+    startTyping,
+    stopTyping,
+    typingUsers = {},
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+    getMessages,
+    getGroupMessages,
+    hasMoreMessages,
+    isLoadingOlder,
+    loadOlderMessages,
+    setUserBlocked,
+  } = useContext(ChatContext) || {};
   const { authUser = {}, onlineUsers = [] } = useContext(AuthContext) || {};
 
   const [input, setInput] = useState("");
   const [isLoading, setIsLoading] = useState(true);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  // message the user asked to jump to, older pages are loaded until it shows up
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [reportingMessage, setReportingMessage] = useState(null);
+  // files picked for the next message, uploaded right away:
+  // [{ id, file, name, size, asImage, status: "uploading" | "done" | "failed", progress, sessionId, uploadId }]
+  // (sessionId: the resumable upload of a large file). Kept in IndexedDB too, to carry on after a reload.
+  const [pendingFiles, setPendingFiles] = useState([]);
+  const [isSending, setIsSending] = useState(false);
+  // AbortController of each running upload, by pending file id
+  const uploadControllers = useRef(new Map());
+  const pendingRef = useRef(pendingFiles);
+  pendingRef.current = pendingFiles;
   const scrollEnd = useRef();
+  const scrollArea = useRef();
+  // scroll metrics captured before an older page is prepended
+  const scrollAnchor = useRef(null);
+  const lastMessageId = useRef(null);
+
+  // the open chat is either a direct chat with a user or a group
+  const chatId = selectedGroup?._id || selectedUser?._id;
 
   // simulate skeleton load
   useEffect(() => {
-    if (selectedUser) {
+    setEditingMessage(null);
+    setReplyingTo(null);
+    setJumpTarget(null);
+    setPendingFiles([]);
+    if (chatId) {
       setIsLoading(true);
       const t = setTimeout(() => setIsLoading(false), 700);
       return () => clearTimeout(t);
     } else {
       setIsLoading(false);
     }
-  }, [selectedUser]);
+  }, [chatId]);
+
+  // leaving a chat cancels and discards what was uploaded for it
+  useEffect(() => {
+    const controllers = uploadControllers.current;
+    return () => {
+      pendingRef.current.forEach((item) => {
+        controllers.get(item.id)?.abort();
+        if (item.uploadId) discardUpload(item.uploadId);
+        deletePendingUpload(item.id);
+      });
+      controllers.clear();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [chatId]);
+
+  // files left pending in this chat before a reload: finished ones are ready to send, the others resume
+  useEffect(() => {
+    if (!chatId || !authUser._id) return;
+    let cancelled = false;
+    loadPendingUploads(authUser._id, chatId).then((records) => {
+      if (cancelled || records.length === 0) return;
+      const items = records.map(({ id, file, asImage, sessionId, uploadId }) => ({
+        id,
+        file,
+        name: file.name,
+        size: file.size,
+        asImage,
+        status: uploadId ? "done" : "uploading",
+        progress: uploadId ? 1 : 0,
+        sessionId,
+        uploadId,
+      }));
+      setPendingFiles((prev) => [...prev, ...items]);
+      items.filter((item) => !item.uploadId).forEach(startUpload);
+    });
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [chatId, authUser._id]);
+
+  // stop announcing typing when leaving a chat
+  useEffect(() => {
+    return () => stopTyping?.();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [chatId]);
 
-  // fetch messages when user changes
+  // fetch messages when the open chat changes
   useEffect(() => {
-    if (selectedUser) {
+    if (selectedGroup) {
+      getGroupMessages(selectedGroup._id);
+    } else if (selectedUser) {
       getMessages(selectedUser._id);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedUser]);
+  }, [chatId]);
 
-  // auto-scroll when messages update
-  useEffect(() => {
-    if (scrollEnd.current && messages) {
+  // keep the view steady when older messages are prepended,
+  // otherwise auto-scroll to the bottom when a newer message arrives
+  useLayoutEffect(() => {
+    const el = scrollArea.current;
+    if (scrollAnchor.current && el) {
+      const { height, top } = scrollAnchor.current;
+      el.scrollTop = el.scrollHeight - height + top;
+      scrollAnchor.current = null;
+      return;
+    }
+
+    const latest = messages.reduce(
+      (a, b) => (!a || new Date(b.createdAt) >= new Date(a.createdAt) ? b : a),
+      null
+    );
+    if (latest?._id !== lastMessageId.current && scrollEnd.current) {
       scrollEnd.current.scrollIntoView({ behavior: "smooth" });
     }
+    lastMessageId.current = latest?._id ?? null;
   }, [messages]);
 
-  // send text
+  // jump to the newest message once the skeleton is replaced by the loaded chat
+  useEffect(() => {
+    if (!isLoading && scrollEnd.current) scrollEnd.current.scrollIntoView();
+  }, [isLoading]);
+
+  // scroll to the jump target once it is rendered, paging back through history until it is
+  useEffect(() => {
+    if (!jumpTarget || isLoadingOlder) return;
+    const el = document.getElementById(`message-${jumpTarget}`);
+    if (el) {
+      el.scrollIntoView({ behavior: "smooth", block: "center" });
+      setHighlightedId(jumpTarget);
+      setJumpTarget(null);
+    } else if (hasMoreMessages) {
+      loadOlderMessages().then((loaded) => {
+        if (!loaded) setJumpTarget(null);
+      });
+    } else {
+      toast.error("The original message is no longer available");
+      setJumpTarget(null);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [jumpTarget, messages, isLoadingOlder, hasMoreMessages]);
+
+  // fade the jump highlight out after a moment
+  useEffect(() => {
+    if (!highlightedId) return;
+    const t = setTimeout(() => setHighlightedId(null), 1600);
+    return () => clearTimeout(t);
+  }, [highlightedId]);
+
+  // load the previous page once the user scrolls near the top
+  const handleScroll = async () => {
+    const el = scrollArea.current;
+    if (!el || el.scrollTop > 80 || !hasMoreMessages || isLoadingOlder || isLoading || jumpTarget) return;
+    scrollAnchor.current = { height: el.scrollHeight, top: el.scrollTop };
+    // nothing was prepended, so don't let the anchor shift the view on the next render
+    if (!(await loadOlderMessages())) scrollAnchor.current = null;
+  };
+
+  // send text and finished uploads (or save the message being edited)
   const handleSendMessage = async (e) => {
     if (e && e.preventDefault) e.preventDefault();
-    if (!input.trim()) return;
-    await sendMessage({ text: input.trim() });
+    if (!canSend) return;
+    stopTyping();
+    if (editingMessage) {
+      const data = await editMessage(editingMessage._id, input.trim());
+      if (!data?.success) return;
+      setEditingMessage(null);
+    } else {
+      setIsSending(true);
+      const data = await sendMessage({
+        text: input.trim() || undefined,
+        imageId: pendingFiles.find((item) => item.asImage)?.uploadId,
+        attachmentIds: pendingFiles.filter((item) => !item.asImage).map((item) => item.uploadId),
+        replyTo: replyingTo?._id,
+      });
+      setIsSending(false);
+      // uploads stay around so a failed send can be retried
+      if (!data?.success && pendingFiles.length > 0) return;
+      pendingFiles.forEach((item) => deletePendingUpload(item.id));
+      setPendingFiles([]);
+      setReplyingTo(null);
+    }
     setInput("");
   };
 
-  // send image
-  const handleSendImage = async (e) => {
-    const file = e.target?.files?.[0];
-    if (!file || !file.type.startsWith("image/")) {
-      toast.error("Select an image file");
-      if (e.target) e.target.value = "";
-      return;
+  const isUploading = pendingFiles.some((item) => item.status !== "done");
+  const canSend = editingMessage
+    ? Boolean(input.trim())
+    : !isSending && !isUploading && (Boolean(input.trim()) || pendingFiles.length > 0);
+
+  const updatePending = (id, changes) =>
+    setPendingFiles((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+
+  // remember a pending file (and how far its upload got) across reloads
+  const savePending = (item, changes = {}) => {
+    const { id, file, asImage, sessionId = null, uploadId = null } = { ...item, ...changes };
+    savePendingUpload({ id, userId: authUser._id, chatId, asImage, file, sessionId, uploadId });
+  };
+
+  // upload a picked file right away, reporting progress on its chip;
+  // a large file's upload continues from its session when there is one
+  const startUpload = async (item) => {
+    const controller = new AbortController();
+    uploadControllers.current.set(item.id, controller);
+    updatePending(item.id, { status: "uploading", progress: 0 });
+
+    const upload = await uploadFile(item.file, {
+      type: fileType(item.file),
+      signal: controller.signal,
+      sessionId: item.sessionId,
+      onSessionStart: (sessionId) => {
+        updatePending(item.id, { sessionId });
+        savePending(item, { sessionId });
+      },
+      onProgress: (progress) => updatePending(item.id, { progress }),
+    });
+
+    uploadControllers.current.delete(item.id);
+    if (controller.signal.aborted) return;
+    if (upload) savePending(item, { uploadId: upload._id });
+    updatePending(item.id, upload ? { status: "done", progress: 1, uploadId: upload._id } : { status: "failed" });
+  };
+
+  // cancel a running upload, or discard a finished one
+  const removePending = (item) => {
+    uploadControllers.current.get(item.id)?.abort();
+    uploadControllers.current.delete(item.id);
+    if (item.uploadId) discardUpload(item.uploadId);
+    deletePendingUpload(item.id);
+    setPendingFiles((prev) => prev.filter((f) => f.id !== item.id));
+  };
+
+  // queue files for the next message (asImage: the gallery button, sent as the message's photo),
+  // skipping (with a toast) the ones over their limit
+  const handlePickFiles = (e, asImage = false) => {
+    const picked = Array.from(e.target?.files || []);
+    if (e.target) e.target.value = "";
+
+    const attachments = pendingFiles.filter((item) => !item.asImage);
+    let room = asImage ? 1 : MAX_ATTACHMENTS - attachments.length;
+    let totalSize = asImage ? 0 : attachments.reduce((total, item) => total + item.size, 0);
+    const accepted = [];
+    for (const file of picked) {
+      const error = asImage && attachmentKind(fileType(file)) !== "image" ? "Select an image file" : attachmentError(file);
+      if (error) {
+        toast.error(error);
+      } else if (room === 0) {
+        toast.error(`Attach at most ${MAX_ATTACHMENTS} files`);
+        break;
+      } else if (totalSize + file.size > MAX_ATTACHMENTS_SIZE) {
+        toast.error(`Attachments can't add up to more than ${formatFileSize(MAX_ATTACHMENTS_SIZE)}`);
+      } else {
+        accepted.push(file);
+        room -= 1;
+        totalSize += file.size;
+      }
     }
-    const reader = new FileReader();
-    reader.onloadend = async () => {
-      await sendMessage({ image: reader.result });
-      if (e.target) e.target.value = "";
-    };
-    reader.readAsDataURL(file);
+    if (accepted.length === 0) return;
+
+    // a message has a single photo, a new one replaces the previous pick
+    if (asImage) pendingFiles.filter((item) => item.asImage).forEach(removePending);
+
+    const items = accepted.map((file) => ({
+      id: `${file.name}-${file.size}-${file.lastModified}-${Math.random().toString(36).slice(2)}`,
+      file,
+      name: file.name,
+      size: file.size,
+      asImage,
+      status: "uploading",
+      progress: 0,
+    }));
+    setPendingFiles((prev) => [...prev, ...items]);
+    items.forEach((item) => {
+      savePending(item);
+      startUpload(item);
+    });
+  };
+
+  const startEditing = (msg) => {
+    setReplyingTo(null);
+    setEditingMessage(msg);
+    setInput(msg.text);
+  };
+
+  const startReplying = (msg) => {
+    if (editingMessage) cancelEditing();
+    setReplyingTo(msg);
+  };
+
+  const cancelEditing = () => {
+    setEditingMessage(null);
+    setInput("");
+  };
+
+  const handleDeleteMessage = async (msg, scope) => {
+    const prompt =
+      scope === "everyone" ? "Delete this message for everyone?" : "Delete this message for you?";
+    if (!window.confirm(prompt)) return;
+    if (editingMessage?._id === msg._id) cancelEditing();
+    if (replyingTo?._id === msg._id) setReplyingTo(null);
+    await deleteMessage(msg._id, scope);
   };
 
   const isOnline = (id) => Array.isArray(onlineUsers) && onlineUsers.includes(id);
 
+  // look up the sender of a group message among the group members
+  const groupMember = (id) => selectedGroup?.members?.find((m) => m._id === id);
+
+  // display name for a user id, used in reaction tooltips
+  const nameOf = (id) => {
+    if (id === authUser._id) return "You";
+    const user = groupMember(id) || users.find((u) => u._id === id);
+    return user?.fullName || "Unknown user";
+  };
+
   // ✅ FIX: sort messages by createdAt timestamp
   const sortedMessages = [...messages].sort(
     (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
   );
 
-  // no user selected
-  if (!selectedUser) {
+  // no chat selected
+  if (!chatId) {
     return (
       <div className="flex flex-col items-center justify-center gap-6 text-gray-400 bg-gradient-to-br from-[rgba(255,255,255,0.06)] to-[rgba(255,255,255,0.02)] backdrop-blur-lg h-full rounded-2xl p-6">
         <div className="bg-[rgba(255,255,255,0.03)] border border-[rgba(255,255,255,0.06)] p-8 rounded-2xl shadow-md max-w-md text-center">
@@ -85,6 +378,15 @@ const ChatContainer = () => {
     );
   }
 
+  const chatName = selectedGroup ? selectedGroup.name : selectedUser.fullName;
+  const chatAvatar = selectedGroup ? selectedGroup.avatar : selectedUser.profilePic;
+  const onlineMembers = selectedGroup
+    ? selectedGroup.members.filter((m) => m._id !== authUser._id && isOnline(m._id)).length
+    : 0;
+  const typingNames = (typingUsers[chatId] || []).map((id) =>
+    selectedGroup ? groupMember(id)?.fullName || "Someone" : selectedUser.fullName
+  );
+
   return (
     // Make the chat container a flex column so header / messages / composer size correctly
     <div
@@ -101,8 +403,8 @@ const ChatContainer = () => {
               <div className="w-12 h-12 rounded-full p-[2px] bg-gradient-to-tr from-purple-400 to-violet-600">
                 <div className="bg-[rgba(255,255,255,0.03)] rounded-full overflow-hidden w-full h-full">
                   <img
-                    src={selectedUser.profilePic || assets.avatar_icon}
-                    alt={`${selectedUser.fullName} avatar`}
+                    src={chatAvatar || assets.avatar_icon}
+                    alt={`${chatName} avatar`}
                     className="w-full h-full object-cover rounded-full"
                     loading="lazy"
                     onError={(e) => {
@@ -112,7 +414,7 @@ const ChatContainer = () => {
                   />
                 </div>
               </div>
-              {isOnline(selectedUser._id) && (
+              {!selectedGroup && isOnline(selectedUser._id) && (
                 <span className="absolute -right-0 -bottom-0 w-3.5 h-3.5 rounded-full ring-2 ring-white bg-green-400" />
               )}
             </>
@@ -129,19 +431,32 @@ const ChatContainer = () => {
             <>
               <div className="flex items-center gap-2">
                 <h3 className="text-base font-semibold text-white truncate">
-                  {selectedUser.fullName}
+                  {chatName}
                 </h3>
-                {isOnline(selectedUser._id) ? (
+                {selectedGroup ? (
+                  <span className="text-xs text-white/60">
+                    {selectedGroup.members.length} members
+                    {onlineMembers > 0 && ` · ${onlineMembers} online`}
+                  </span>
+                ) : isOnline(selectedUser._id) ? (
                   <span className="text-xs text-green-300 bg-green-900/10 px-2 py-0.5 rounded-full">
                     Online
                   </span>
                 ) : (
-                  <span className="text-xs text-white/60">Offline</span>
+                  <LastSeen date={selectedUser.lastSeen} className="text-xs text-white/60" />
                 )}
               </div>
-              <p className="text-xs text-white/70 truncate max-w-[28rem]">
-                {selectedUser.bio || "No status available"}
-              </p>
+              {typingNames.length > 0 ? (
+                <p className="text-xs text-violet-300 italic truncate max-w-[28rem]">
+                  {typingLabel(typingNames)}
+                </p>
+              ) : (
+                <p className="text-xs text-white/70 truncate max-w-[28rem]">
+                  {selectedGroup
+                    ? selectedGroup.members.map((m) => m.fullName).join(", ")
+                    : selectedUser.bio || "No status available"}
+                </p>
+              )}
             </>
           )}
         </div>
@@ -156,7 +471,10 @@ const ChatContainer = () => {
           </button>
 
           <button
-            onClick={() => setSelectedUser(null)}
+            onClick={() => {
+              setSelectedUser(null);
+              setSelectedGroup(null);
+            }}
             className="md:hidden p-2 rounded-full hover:bg-[rgba(255,255,255,0.04)] transition"
             title="Back"
             aria-label="Back"
@@ -168,7 +486,17 @@ const ChatContainer = () => {
 
       {/* MESSAGES */}
       {/* MAIN is flex-1 so it grows/shrinks correctly inside parent flex container */}
-      <main className="flex-1 overflow-y-auto p-4 md:p-6 space-y-4 custom-scrollbar min-h-0">
+      <main
+        ref={scrollArea}
+        onScroll={handleScroll}
+        className="flex-1 overflow-y-auto p-4 md:p-6 space-y-4 custom-scrollbar min-h-0"
+      >
+        {!isLoading && isLoadingOlder && (
+          <p className="text-center text-xs text-white/60">Loading earlier messages…</p>
+        )}
+        {!isLoading && !hasMoreMessages && sortedMessages.length > 0 && (
+          <p className="text-center text-[11px] text-white/40">Beginning of the conversation</p>
+        )}
         {isLoading ? (
           // skeletons
           <div className="space-y-6">
@@ -189,57 +517,23 @@ const ChatContainer = () => {
           sortedMessages.map((msg, index) => {
             const isOwn = msg.senderId === authUser._id;
             return (
-              <div key={index} className={`flex items-end gap-3 ${isOwn ? "justify-end" : "justify-start"}`}>
-                {/* avatar for receiver */}
-                {!isOwn && (
-                  <div className="flex flex-col items-center space-y-1 w-[44px]">
-                    <img
-                      src={selectedUser?.profilePic || assets.avatar_icon}
-                      alt={`${selectedUser.fullName} avatar`}
-                      className="w-8 h-8 rounded-full object-cover ring-1 ring-white/5"
-                    />
-                    <span className="text-[10px] text-white/60">{formatMessageTime(msg.createdAt)}</span>
-                  </div>
-                )}
-
-                {/* text or image */}
-                {msg.image ? (
-                  <div
-                    className={`rounded-2xl overflow-hidden mb-4 shadow-sm ${isOwn ? "ml-auto" : ""}`}
-                    style={{ maxWidth: "90vw" }}
-                  >
-                    {/* Responsive image: max width restricted to viewport, not a fixed px size */}
-                    <img
-                      src={msg.image}
-                      alt={`shared-${index}`}
-                      className="w-full h-auto object-cover block"
-                      onClick={() => window.open(msg.image, "_blank")}
-                    />
-                  </div>
-                ) : (
-                  <div
-                    className={`max-w-[72%] md:max-w-[60%] rounded-2xl p-3 text-sm break-words mb-4 ${
-                      isOwn
-                        ? "bg-gradient-to-r from-purple-500 to-violet-600 text-white rounded-br-none"
-                        : "bg-[rgba(255,255,255,0.03)] text-white rounded-bl-none"
-                    }`}
-                  >
-                    {msg.text}
-                  </div>
-                )}
-
-                {/* avatar for own */}
-                {isOwn && (
-                  <div className="flex flex-col items-center space-y-1 w-[44px]">
-                    <img
-                      src={authUser?.profilePic || assets.avatar_icon}
-                      alt="you avatar"
-                      className="w-8 h-8 rounded-full object-cover ring-1 ring-white/5"
-                    />
-                    <span className="text-[10px] text-white/60">{formatMessageTime(msg.createdAt)}</span>
-                  </div>
-                )}
-              </div>
+              <MessageBubble
+                key={msg._id || index}
+                msg={msg}
+                isOwn={isOwn}
+                sender={selectedGroup ? groupMember(msg.senderId) : selectedUser}
+                ownAvatar={authUser?.profilePic}
+                showSenderName={!!selectedGroup}
+                currentUserId={authUser._id}
+                nameOf={nameOf}
+                isHighlighted={highlightedId === msg._id}
+                onReply={startReplying}
+                onJumpTo={setJumpTarget}
+                onEdit={startEditing}
+                onDelete={handleDeleteMessage}
+                onReact={(m, emoji) => toggleReaction(m._id, emoji)}
+                onReport={setReportingMessage}
+              />
             );
           })
         ) : (
@@ -249,7 +543,7 @@ const ChatContainer = () => {
               <img src={assets.logo_icon} alt="logo" className="w-16 mx-auto mb-3 opacity-90" />
               <h4 className="text-lg font-medium text-white mb-1">Start a conversation</h4>
               <p className="text-sm text-white/70 text-center max-w-sm">
-                Send a message or share an image to begin chatting with <strong>{selectedUser.fullName}</strong>.
+                Send a message or share a file to begin chatting with <strong>{chatName}</strong>.
               </p>
             </div>
           </div>
@@ -260,30 +554,151 @@ const ChatContainer = () => {
 
       {/* COMPOSER - now in normal flow (not absolute) so mobile stacking won't create weird gaps */}
       <div className="flex-none p-4 bg-gradient-to-t from-[rgba(0,0,0,0.25)] to-transparent border-t border-[rgba(255,255,255,0.03)]">
-        <form onSubmit={handleSendMessage} className="max-w-4xl mx-auto flex items-center gap-3">
-          <div className="flex-1 flex items-center gap-3 bg-[rgba(255,255,255,0.03)] px-3 py-2 rounded-full">
-            <input
-              value={input}
-              onChange={(e) => setInput(e.target.value)}
-              type="text"
-              placeholder="Type a message..."
-              className="flex-1 bg-transparent text-sm text-white placeholder-white/40 outline-none"
-            />
-            <input onChange={handleSendImage} type="file" id="image" accept="image/*" hidden />
-            <label htmlFor="image" className="p-2 rounded-full hover:bg-[rgba(255,255,255,0.02)] cursor-pointer">
-              <img src={assets.gallery_icon} alt="attach" className="w-5 h-5 opacity-90" />
-            </label>
+        {editingMessage && (
+          <div className="max-w-4xl mx-auto mb-2 flex items-center justify-between gap-3 px-3 py-2 rounded-xl bg-[rgba(255,255,255,0.04)] border-l-2 border-violet-400 text-xs text-white/80">
+            <div className="min-w-0">
+              <p className="font-medium text-violet-300">Editing message</p>
+              <p className="truncate text-white/60">{editingMessage.text}</p>
+            </div>
+            <button type="button" onClick={cancelEditing} className="text-white/60 hover:text-white" aria-label="Cancel editing">
+              Cancel
+            </button>
           </div>
-          <button
-            type="submit"
-            disabled={!input.trim()}
-            className="w-11 h-11 rounded-full flex items-center justify-center bg-gradient-to-r from-purple-400 to-violet-600 shadow-lg hover:scale-105 disabled:opacity-60"
-          >
-            <img src={assets.send_button} alt="send" className="w-5 h-5" />
-          </button>
-        </form>
+        )}
+        {replyingTo && (
+          <div className="max-w-4xl mx-auto mb-2 flex items-center justify-between gap-3 px-3 py-2 rounded-xl bg-[rgba(255,255,255,0.04)] border-l-2 border-violet-400 text-xs text-white/80">
+            <div className="min-w-0">
+              <p className="font-medium text-violet-300">Replying to {nameOf(replyingTo.senderId)}</p>
+              <p className="truncate text-white/60">{messagePreview(replyingTo)}</p>
+            </div>
+            <button type="button" onClick={() => setReplyingTo(null)} className="text-white/60 hover:text-white" aria-label="Cancel reply">
+              Cancel
+            </button>
+          </div>
+        )}
+        {pendingFiles.length > 0 && !editingMessage && (
+          <ul className="max-w-4xl mx-auto mb-2 flex flex-wrap gap-2">
+            {pendingFiles.map((item) => (
+              <li
+                key={item.id}
+                className="relative overflow-hidden flex items-center gap-2 max-w-[260px] pl-3 pr-1 py-1 rounded-full bg-[rgba(255,255,255,0.06)] text-xs text-white/80"
+              >
+                <span className="truncate" title={item.name}>
+                  {item.asImage ? `Photo · ${item.name}` : item.name}
+                </span>
+                <span className={`shrink-0 ${item.status === "failed" ? "text-rose-300" : "text-white/50"}`}>
+                  {item.status === "uploading"
+                    ? `${Math.round(item.progress * 100)}%`
+                    : item.status === "failed"
+                    ? "Failed"
+                    : formatFileSize(item.size)}
+                </span>
+                {item.status === "failed" && (
+                  <button
+                    type="button"
+                    onClick={() => startUpload(item)}
+                    className="shrink-0 px-1.5 py-0.5 rounded-full text-violet-300 hover:bg-white/10"
+                  >
+                    Retry
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => removePending(item)}
+                  className="shrink-0 p-1 rounded-full hover:bg-white/10"
+                  aria-label={item.status === "uploading" ? `Cancel uploading ${item.name}` : `Remove ${item.name}`}
+                  title={item.status === "uploading" ? "Cancel upload" : "Remove"}
+                  disabled={isSending}
+                >
+                  <svg className="w-3 h-3" viewBox="0 0 24 24" fill="none" aria-hidden>
+                    <path d="M6 18L18 6M6 6l12 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" />
+                  </svg>
+                </button>
+                {item.status === "uploading" && (
+                  <span
+                    className="absolute left-0 bottom-0 h-0.5 bg-violet-400 transition-[width]"
+                    style={{ width: `${item.progress * 100}%` }}
+                    role="progressbar"
+                    aria-label={`Uploading ${item.name}`}
+                    aria-valuenow={Math.round(item.progress * 100)}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                  />
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {selectedUser?.blocked ? (
+          <div className="max-w-4xl mx-auto flex items-center justify-between gap-3 px-4 py-3 rounded-full bg-[rgba(255,255,255,0.03)] text-sm text-white/70">
+            <span>You blocked {selectedUser.fullName}.</span>
+            <button
+              type="button"
+              onClick={() => setUserBlocked(selectedUser._id, false)}
+              className="text-violet-300 hover:text-violet-200 font-medium"
+            >
+              Unblock
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSendMessage} className="max-w-4xl mx-auto flex items-center gap-3">
+            <div className="flex-1 flex items-center gap-3 bg-[rgba(255,255,255,0.03)] px-3 py-2 rounded-full">
+              <input
+                value={input}
+                onChange={(e) => {
+                  setInput(e.target.value);
+                  if (!editingMessage && e.target.value.trim()) startTyping();
+                  else stopTyping();
+                }}
+                onBlur={stopTyping}
+                onKeyDown={(e) => {
+                  if (e.key === "Escape" && editingMessage) cancelEditing();
+                  if (e.key === "Escape" && replyingTo) setReplyingTo(null);
+                }}
+                type="text"
+                placeholder="Type a message..."
+                className="flex-1 bg-transparent text-sm text-white placeholder-white/40 outline-none"
+              />
+              {!editingMessage && (
+                <>
+                  <input onChange={handlePickFiles} type="file" id="attachments" accept={ATTACHMENT_ACCEPT} multiple hidden />
+                  <label
+                    htmlFor="attachments"
+                    className="p-2 rounded-full hover:bg-[rgba(255,255,255,0.02)] cursor-pointer text-white/80"
+                    title="Attach files"
+                  >
+                    <svg className="w-5 h-5" viewBox="0 0 24 24" fill="none" aria-label="attach files">
+                      <path
+                        d="M20.5 11.5l-8.3 8.3a5 5 0 01-7.1-7.1l8.7-8.7a3.3 3.3 0 014.7 4.7l-8.6 8.6a1.7 1.7 0 01-2.4-2.4l7.9-7.9"
+                        stroke="currentColor"
+                        strokeWidth="1.6"
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                      />
+                    </svg>
+                  </label>
+                </>
+              )}
+              <input onChange={(e) => handlePickFiles(e, true)} type="file" id="image" accept="image/*" hidden />
+              <label htmlFor="image" className="p-2 rounded-full hover:bg-[rgba(255,255,255,0.02)] cursor-pointer">
+                <img src={assets.gallery_icon} alt="attach" className="w-5 h-5 opacity-90" />
+              </label>
+            </div>
+            <button
+              type="submit"
+              disabled={!canSend}
+              className="w-11 h-11 rounded-full flex items-center justify-center bg-gradient-to-r from-purple-400 to-violet-600 shadow-lg hover:scale-105 disabled:opacity-60"
+            >
+              <img src={assets.send_button} alt="send" className="w-5 h-5" />
+            </button>
+          </form>
+        )}
       </div>
 
+      {reportingMessage && (
+        <ReportModal message={reportingMessage} onClose={() => setReportingMessage(null)} />
+      )}
+
       {/* scrollbar style */}
       <style>{`
         .custom-scrollbar::-webkit-scrollbar { width: 8px; }
@@ -0,0 +1,133 @@
+// CreateGroupModal.jsx
+import React, { useContext, useState } from "react";
+import assets from "../assets/assets";
+import { ChatContext } from "../../context/ChatContext";
+import toast from "react-hot-toast";
+
+/**
+ * Modal used to create a group (name + members) or, when `group` is passed,
+ * to add more members to an existing group.
+ */
+const CreateGroupModal = ({ group = null, onClose }) => {
+  const { users = [], createGroup, addGroupMembers, setSelectedGroup, setSelectedUser } =
+    useContext(ChatContext);
+
+  const [name, setName] = useState("");
+  const [query, setQuery] = useState("");
+  const [picked, setPicked] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const memberIds = (group?.members || []).map((m) => m._id);
+  const q = query.trim().toLowerCase();
+  const candidates = users
+    .filter((u) => !memberIds.includes(u._id))
+    .filter((u) => !q || u.fullName.toLowerCase().includes(q));
+
+  const togglePick = (id) =>
+    setPicked((prev) => (prev.includes(id) ? prev.filter((p) => p !== id) : [...prev, id]));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!group && !name.trim()) {
+      toast.error("Give the group a name");
+      return;
+    }
+    if (picked.length === 0) {
+      toast.error("Pick at least one member");
+      return;
+    }
+
+    setIsSubmitting(true);
+    const data = group
+      ? await addGroupMembers(group._id, picked)
+      : await createGroup({ name: name.trim(), members: picked });
+    setIsSubmitting(false);
+
+    if (data?.success) {
+      if (!group) {
+        setSelectedUser(null);
+        setSelectedGroup(data.conversation);
+      }
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[70] flex items-center justify-center bg-black/60 p-4"
+      role="dialog"
+      aria-modal="true"
+      onClick={onClose}
+    >
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-sm rounded-2xl bg-[#1f1830] border border-white/10 text-white p-5 shadow-2xl flex flex-col gap-4"
+      >
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold">{group ? "Add members" : "New group"}</h3>
+          <button type="button" onClick={onClose} className="p-2 rounded-full hover:bg-white/5 transition" aria-label="Close">
+            <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none"><path d="M6 18L18 6M6 6l12 12" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round" /></svg>
+          </button>
+        </div>
+
+        {!group && (
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            type="text"
+            placeholder="Group name"
+            className="p-3 rounded-lg bg-white/5 text-sm text-white placeholder-white/40 border border-white/10 outline-none focus:border-indigo-400"
+          />
+        )}
+
+        <div className="bg-[#282142] rounded-full flex items-center gap-2 py-2 px-4">
+          <img src={assets.search_icon} alt="Search" className="w-3" />
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            type="text"
+            className="bg-transparent border-none outline-none text-white text-xs placeholder-[#c8c8c8] flex-1"
+            placeholder="Search User..."
+          />
+        </div>
+
+        <div className="max-h-64 overflow-y-auto flex flex-col gap-1">
+          {candidates.length === 0 ? (
+            <p className="text-xs text-white/60 text-center py-4">No users to add.</p>
+          ) : (
+            candidates.map((user) => (
+              <label
+                key={user._id}
+                className="flex items-center gap-3 p-2 rounded-lg hover:bg-white/5 cursor-pointer text-sm"
+              >
+                <input
+                  type="checkbox"
+                  checked={picked.includes(user._id)}
+                  onChange={() => togglePick(user._id)}
+                  className="h-4 w-4"
+                />
+                <img
+                  src={user.profilePic || assets.avatar_icon}
+                  alt={`${user.fullName} avatar`}
+                  className="w-7 h-7 rounded-full object-cover"
+                />
+                <span className="truncate">{user.fullName}</span>
+              </label>
+            ))
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="bg-gradient-to-r from-purple-500 to-indigo-600 text-white text-sm font-medium py-2 rounded-full disabled:opacity-60"
+        >
+          {isSubmitting ? "Saving..." : group ? "Add" : "Create group"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CreateGroupModal;
@@ -0,0 +1,129 @@
+// GroupMembers.jsx
+import React, { useContext, useState } from "react";
+import assets from "../assets/assets";
+import { ChatContext } from "../../context/ChatContext";
+import { AuthContext } from "../../context/AuthContext";
+import CreateGroupModal from "./CreateGroupModal";
+
+/**
+ * Member list of the selected group, shown in the RightSidebar.
+ * Admins get rename, add / remove member and promote / demote controls.
+ */
+const GroupMembers = ({ group }) => {
+  const { updateGroup, removeGroupMember, setGroupAdmin } = useContext(ChatContext);
+  const { authUser, onlineUsers = [] } = useContext(AuthContext);
+
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [name, setName] = useState(group.name);
+  const [showAddMembers, setShowAddMembers] = useState(false);
+
+  const adminIds = group.admins || [];
+  const amAdmin = adminIds.includes(authUser?._id);
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || name.trim() === group.name) {
+      setIsRenaming(false);
+      return;
+    }
+    const data = await updateGroup(group._id, { name: name.trim() });
+    if (data?.success) setIsRenaming(false);
+  };
+
+  return (
+    <div className="px-1 text-xs">
+      {amAdmin && (
+        <div className="mb-3">
+          {isRenaming ? (
+            <form onSubmit={handleRename} className="flex items-center gap-2">
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                autoFocus
+                className="flex-1 p-2 rounded-lg bg-white/5 text-sm text-white border border-white/10 outline-none focus:border-indigo-400"
+              />
+              <button type="submit" className="text-indigo-300 hover:text-indigo-200">Save</button>
+            </form>
+          ) : (
+            <button
+              type="button"
+              onClick={() => {
+                setName(group.name);
+                setIsRenaming(true);
+              }}
+              className="text-indigo-300 hover:text-indigo-200"
+            >
+              Rename group
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm text-white/80 font-medium">Members</p>
+        {amAdmin ? (
+          <button
+            type="button"
+            onClick={() => setShowAddMembers(true)}
+            className="text-indigo-300 hover:text-indigo-200"
+          >
+            + Add
+          </button>
+        ) : (
+          <p className="text-[11px] text-white/70">{group.members.length}</p>
+        )}
+      </div>
+
+      <ul className="flex flex-col gap-1">
+        {group.members.map((member) => {
+          const isMemberAdmin = adminIds.includes(member._id);
+          const isMe = member._id === authUser?._id;
+          return (
+            <li key={member._id} className="flex items-center gap-2 p-1.5 rounded-lg hover:bg-white/5 group">
+              <div className="relative">
+                <img
+                  src={member.profilePic || assets.avatar_icon}
+                  alt={`${member.fullName} avatar`}
+                  className="w-7 h-7 rounded-full object-cover"
+                />
+                {onlineUsers.includes(member._id) && (
+                  <span className="absolute -right-0 -bottom-0 w-2 h-2 rounded-full bg-green-400" />
+                )}
+              </div>
+              <span className="flex-1 truncate text-sm">
+                {isMe ? "You" : member.fullName}
+              </span>
+              {isMemberAdmin && (
+                <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-violet-500/30 text-violet-200">admin</span>
+              )}
+              {amAdmin && !isMe && (
+                <div className="hidden group-hover:flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setGroupAdmin(group._id, member._id, !isMemberAdmin)}
+                    className="text-white/60 hover:text-white"
+                    title={isMemberAdmin ? "Remove admin" : "Make admin"}
+                  >
+                    {isMemberAdmin ? "Demote" : "Promote"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeGroupMember(group._id, member._id)}
+                    className="text-rose-300 hover:text-rose-200"
+                    title="Remove from group"
+                  >
+                    Remove
+                  </button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {showAddMembers && <CreateGroupModal group={group} onClose={() => setShowAddMembers(false)} />}
+    </div>
+  );
+};
+
+export default GroupMembers;
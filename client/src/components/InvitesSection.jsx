@@ -0,0 +1,136 @@
+// InvitesSection.jsx
+import React, { useContext, useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { AuthContext } from "../../context/AuthContext";
+
+const USES_OPTIONS = [1, 5, 25];
+
+const inviteLink = (code) => `${window.location.origin}/login?invite=${encodeURIComponent(code)}`;
+
+/**
+ * "Invites" card of the ProfilePage, shown while registration is invite-only:
+ * the user's invite codes with their usage, and buttons to create, share or revoke them.
+ */
+const InvitesSection = () => {
+  const { getSignupPolicy, getInvites, createInvite, revokeInvite } = useContext(AuthContext);
+
+  const [isInviteOnly, setIsInviteOnly] = useState(false);
+  const [invites, setInvites] = useState(null);
+  const [maxUses, setMaxUses] = useState(1);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    getSignupPolicy().then(async (policy) => {
+      if (policy?.mode !== "invite") return;
+      setIsInviteOnly(true);
+      const list = await getInvites();
+      if (list) setInvites(list);
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  if (!isInviteOnly) return null;
+
+  const handleCreate = async () => {
+    setBusyId("new");
+    const data = await createInvite(maxUses);
+    setBusyId(null);
+    if (data?.success) setInvites((prev) => [data.invite, ...(prev || [])]);
+  };
+
+  const handleRevoke = async (invite) => {
+    setBusyId(invite._id);
+    const data = await revokeInvite(invite._id);
+    setBusyId(null);
+    if (data?.success) setInvites((prev) => prev.filter((i) => i._id !== invite._id));
+  };
+
+  const handleCopy = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(inviteLink(invite.code));
+      toast.success("Invite link copied");
+    } catch {
+      toast.error("Could not copy the link");
+    }
+  };
+
+  return (
+    <section className="w-full max-w-3xl rounded-2xl border border-white/10 bg-white/5 backdrop-blur-xl shadow-2xl p-6 sm:p-8">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-xl font-semibold tracking-tight text-white">Invites</h3>
+          <p className="text-xs text-white/60 mt-1">New accounts need an invite code. Codes expire after 7 days.</p>
+        </div>
+        <div className="flex items-center gap-2 shrink-0">
+          <select
+            value={maxUses}
+            onChange={(e) => setMaxUses(Number(e.target.value))}
+            aria-label="Uses per invite"
+            className="text-xs rounded-full bg-white/5 border border-white/15 text-white px-3 py-2 outline-none"
+          >
+            {USES_OPTIONS.map((uses) => (
+              <option key={uses} value={uses} className="bg-slate-900">
+                {uses === 1 ? "Single use" : `${uses} uses`}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleCreate}
+            disabled={busyId === "new"}
+            className="text-xs px-3 py-2 rounded-full bg-gradient-to-r from-purple-500 to-indigo-600 text-white font-semibold disabled:opacity-50 transition"
+          >
+            New invite
+          </button>
+        </div>
+      </div>
+
+      {!invites ? (
+        <p className="text-sm text-white/60">Loading invites…</p>
+      ) : invites.length === 0 ? (
+        <p className="text-sm text-white/60">You haven't created any invites yet.</p>
+      ) : (
+        <ul className="flex flex-col divide-y divide-white/10">
+          {invites.map((invite) => {
+            const expired = invite.expiresAt && new Date(invite.expiresAt) < new Date();
+            const usedUp = invite.uses >= invite.maxUses;
+            return (
+              <li key={invite._id} className="flex items-center justify-between gap-4 py-3">
+                <div className="min-w-0">
+                  <p className={`font-mono text-sm tracking-widest ${expired || usedUp ? "text-white/40 line-through" : "text-white"}`}>
+                    {invite.code}
+                  </p>
+                  <p className="text-xs text-white/60">
+                    Used {invite.uses}/{invite.maxUses} ·{" "}
+                    {expired ? "expired" : `expires ${new Date(invite.expiresAt).toLocaleDateString()}`}
+                  </p>
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  {!expired && !usedUp && (
+                    <button
+                      type="button"
+                      onClick={() => handleCopy(invite)}
+                      className="text-xs px-3 py-1.5 rounded-full border border-white/15 text-white/80 hover:bg-white/10 transition"
+                    >
+                      Copy link
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(invite)}
+                    disabled={busyId === invite._id}
+                    className="text-xs px-3 py-1.5 rounded-full border border-rose-400/40 text-rose-300 hover:bg-rose-500/10 disabled:opacity-50 transition"
+                  >
+                    {expired || usedUp ? "Remove" : "Revoke"}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default InvitesSection;
@@ -0,0 +1,27 @@
+// LastSeen.jsx
+import React, { useEffect, useState } from "react";
+import { formatLastSeen } from "../lib/utils";
+
+const REFRESH_MS = 60 * 1000;
+
+/**
+ * "last seen 5 min ago" for an offline user, refreshed every minute.
+ * Falls back to "Offline" when the server does not share the user's last seen.
+ */
+const LastSeen = ({ date, className = "" }) => {
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    if (!date) return;
+    const timer = setInterval(() => setTick((tick) => tick + 1), REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [date]);
+
+  return (
+    <span className={className} title={date ? new Date(date).toLocaleString() : undefined}>
+      {formatLastSeen(date) || "Offline"}
+    </span>
+  );
+};
+
+export default LastSeen;
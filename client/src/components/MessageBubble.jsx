@@ -0,0 +1,320 @@
+// MessageBubble.jsx
+import React, { useRef, useState } from "react";
+import assets from "../assets/assets";
+import AttachmentCard from "./AttachmentCard";
+import ProgressiveImage from "./ProgressiveImage";
+import { formatMessageTime, groupReactions, messagePreview } from "../lib/utils";
+
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+const LONG_PRESS_MS = 500;
+
+/* Sent (one tick), delivered to everyone (two ticks) or read by everyone (two blue ticks) */
+const DeliveryTicks = ({ msg }) => {
+  const receipts = msg.receipts || [];
+  const state = msg.readAt ? "read" : msg.deliveredAt ? "delivered" : "sent";
+
+  let title = state === "read" ? "Read" : state === "delivered" ? "Delivered" : "Sent";
+  if (receipts.length > 1) {
+    const read = receipts.filter((r) => r.readAt).length;
+    const delivered = receipts.filter((r) => r.deliveredAt).length;
+    title = `Read by ${read} of ${receipts.length} · Delivered to ${delivered} of ${receipts.length}`;
+  }
+
+  return (
+    <span title={title} aria-label={title} className={state === "read" ? "text-sky-400" : "text-white/60"}>
+      <svg className="w-4 h-3" viewBox="0 0 24 16" fill="none" aria-hidden>
+        <path d="M1 8.5l4 4L13 3.5" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+        {state !== "sent" && (
+          <path d="M10.5 11l1.5 1.5L21 3.5" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+        )}
+      </svg>
+    </span>
+  );
+};
+
+/**
+ * One message row of the ChatContainer: avatar + time column, the text / image
+ * bubble with its attached files and reactions, and hover (or long-press) menus for the actions
+ * allowed on the message.
+ */
+const MessageBubble = ({
+  msg,
+  isOwn,
+  sender,
+  ownAvatar,
+  showSenderName,
+  currentUserId,
+  nameOf,
+  isHighlighted,
+  onReply,
+  onJumpTo,
+  onEdit,
+  onDelete,
+  onReact,
+  onReport,
+}) => {
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+  const pressTimer = useRef(null);
+
+  const isDeleted = msg.deletedForEveryone;
+  const canEdit = isOwn && !isDeleted && !!msg.text;
+  const reactions = groupReactions(msg.reactions);
+
+  const runAction = (action) => {
+    setIsMenuOpen(false);
+    setIsPickerOpen(false);
+    action();
+  };
+
+  // long-press on touch screens opens the reaction picker
+  const startPress = () => {
+    if (isDeleted) return;
+    pressTimer.current = setTimeout(() => setIsPickerOpen(true), LONG_PRESS_MS);
+  };
+  const cancelPress = () => clearTimeout(pressTimer.current);
+
+  const timeColumn = (avatar, alt, title, footer) => (
+    <div className="flex flex-col items-center space-y-1 w-[44px]">
+      <img
+        src={avatar || assets.avatar_icon}
+        alt={alt}
+        title={title}
+        className="w-8 h-8 rounded-full object-cover ring-1 ring-white/5"
+      />
+      <span className="text-[10px] text-white/60">{formatMessageTime(msg.createdAt)}</span>
+      {footer}
+    </div>
+  );
+
+  const actions = (
+    <div
+      className="relative self-center mb-4 flex items-center"
+      onMouseLeave={() => setIsMenuOpen(false)}
+    >
+      {!isDeleted && (
+        <button
+          type="button"
+          onClick={() => setIsPickerOpen((open) => !open)}
+          className="opacity-0 group-hover:opacity-100 focus:opacity-100 p-1 rounded-full text-white/60 hover:text-white hover:bg-white/5 transition"
+          aria-label="React to message"
+        >
+          <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" aria-hidden>
+            <circle cx="12" cy="12" r="9" stroke="currentColor" strokeWidth="1.5" />
+            <path d="M8.5 14.5c.9 1.2 2.1 1.8 3.5 1.8s2.6-.6 3.5-1.8" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" />
+            <circle cx="9" cy="10" r="1" fill="currentColor" />
+            <circle cx="15" cy="10" r="1" fill="currentColor" />
+          </svg>
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={() => setIsMenuOpen((open) => !open)}
+        className="opacity-0 group-hover:opacity-100 focus:opacity-100 p-1 rounded-full text-white/60 hover:text-white hover:bg-white/5 transition"
+        aria-label="Message actions"
+        aria-haspopup="true"
+        aria-expanded={isMenuOpen}
+      >
+        <svg className="w-4 h-4" viewBox="0 0 20 20" fill="currentColor" aria-hidden>
+          <circle cx="4" cy="10" r="1.6" />
+          <circle cx="10" cy="10" r="1.6" />
+          <circle cx="16" cy="10" r="1.6" />
+        </svg>
+      </button>
+
+      {isMenuOpen && (
+        <div
+          className={`absolute z-20 bottom-full mb-1 w-40 p-1 rounded-md bg-[#282142] border border-gray-600 text-gray-100 text-xs shadow-lg ${
+            isOwn ? "right-0" : "left-0"
+          }`}
+          role="menu"
+        >
+          {!isDeleted && (
+            <button type="button" role="menuitem" onClick={() => runAction(() => onReply(msg))} className="w-full text-left py-1.5 px-2 rounded hover:bg-white/5">
+              Reply
+            </button>
+          )}
+          {canEdit && (
+            <button type="button" role="menuitem" onClick={() => runAction(() => onEdit(msg))} className="w-full text-left py-1.5 px-2 rounded hover:bg-white/5">
+              Edit
+            </button>
+          )}
+          <button type="button" role="menuitem" onClick={() => runAction(() => onDelete(msg, "me"))} className="w-full text-left py-1.5 px-2 rounded hover:bg-white/5">
+            Delete for me
+          </button>
+          {isOwn && !isDeleted && (
+            <button type="button" role="menuitem" onClick={() => runAction(() => onDelete(msg, "everyone"))} className="w-full text-left py-1.5 px-2 rounded hover:bg-white/5 text-rose-300">
+              Delete for everyone
+            </button>
+          )}
+          {!isOwn && !isDeleted && (
+            <button type="button" role="menuitem" onClick={() => runAction(() => onReport(msg))} className="w-full text-left py-1.5 px-2 rounded hover:bg-white/5 text-rose-300">
+              Report
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+
+  const bubbleClass = `rounded-2xl p-3 text-sm break-words ${
+    isOwn
+      ? "bg-gradient-to-r from-purple-500 to-violet-600 text-white rounded-br-none"
+      : "bg-[rgba(255,255,255,0.03)] text-white rounded-bl-none"
+  }`;
+
+  // quoted snippet of the message this one replies to; clicking it jumps to the original
+  const quote = msg.replyTo && !isDeleted && (
+    <button
+      type="button"
+      onClick={() => onJumpTo(msg.replyTo._id)}
+      className="block w-full min-w-0 text-left mb-2 px-2 py-1 rounded-lg border-l-2 border-violet-300 bg-black/20 hover:bg-black/30 text-xs transition"
+      title="Go to original message"
+    >
+      <p className="font-medium text-violet-200">{nameOf(msg.replyTo.senderId)}</p>
+      <p className={`truncate text-white/70 ${msg.replyTo.deletedForEveryone ? "italic" : ""}`}>
+        {messagePreview(msg.replyTo)}
+      </p>
+    </button>
+  );
+
+  const attachmentList = msg.attachments?.length > 0 && (
+    <div className={`flex flex-col gap-2 ${msg.text ? "mt-2" : ""}`}>
+      {msg.attachments.map((attachment) => (
+        <AttachmentCard key={attachment.url} attachment={attachment} />
+      ))}
+    </div>
+  );
+
+  const senderName = showSenderName && !isOwn && (
+    <p className="text-[11px] font-medium text-violet-300 mb-1 not-italic">
+      {sender?.fullName || "Former member"}
+    </p>
+  );
+
+  return (
+    <div id={`message-${msg._id}`} className={`group flex items-end gap-3 ${isOwn ? "justify-end" : "justify-start"}`}>
+      {/* avatar for receiver */}
+      {!isOwn && timeColumn(sender?.profilePic, `${sender?.fullName || "Former member"} avatar`, sender?.fullName)}
+
+      {isOwn && actions}
+
+      <div
+        className={`relative flex flex-col mb-4 ${
+          msg.image && !isDeleted ? "" : "max-w-[72%] md:max-w-[60%]"
+        } ${isOwn ? "items-end" : "items-start"} ${
+          isHighlighted ? "ring-2 ring-violet-400/70 rounded-2xl transition" : ""
+        }`}
+        onTouchStart={startPress}
+        onTouchEnd={cancelPress}
+        onTouchMove={cancelPress}
+      >
+        {/* quick reaction picker */}
+        {isPickerOpen && (
+          <div
+            className={`absolute z-20 bottom-full mb-1 flex items-center gap-1 px-2 py-1 rounded-full bg-[#282142] border border-gray-600 shadow-lg ${
+              isOwn ? "right-0" : "left-0"
+            }`}
+            onMouseLeave={() => setIsPickerOpen(false)}
+          >
+            {QUICK_REACTIONS.map((emoji) => (
+              <button
+                key={emoji}
+                type="button"
+                onClick={() => runAction(() => onReact(msg, emoji))}
+                className="text-lg leading-none p-1 rounded-full hover:bg-white/10 hover:scale-110 transition"
+                aria-label={`React with ${emoji}`}
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* deleted placeholder, image or text */}
+        {isDeleted ? (
+          <div className={`${bubbleClass} italic opacity-70`}>
+            {senderName}
+            {isOwn ? "You deleted this message" : "This message was deleted"}
+          </div>
+        ) : msg.image ? (
+          <div
+            className={`rounded-2xl overflow-hidden shadow-sm ${isOwn ? "ml-auto" : ""}`}
+            style={{ maxWidth: "90vw" }}
+          >
+            {quote}
+            {/* Responsive image: max width restricted to viewport, the space reserved from its stored size.
+                Shows the medium rendition, the original opens on click */}
+            <ProgressiveImage
+              key={msg.image}
+              src={msg.imageMeta?.mediumUrl || msg.image}
+              meta={msg.imageMeta}
+              alt={`shared-${msg._id}`}
+              className="w-full max-w-full"
+              style={msg.imageMeta?.width ? { width: msg.imageMeta.width } : undefined}
+              onClick={() => window.open(msg.image, "_blank")}
+            />
+            {msg.text && (
+              <p
+                className={`px-3 py-2 text-sm break-words text-white ${
+                  isOwn ? "bg-gradient-to-r from-purple-500 to-violet-600" : "bg-[rgba(255,255,255,0.03)]"
+                }`}
+              >
+                {msg.text}
+                {msg.editedAt && <span className="ml-2 text-[10px] text-white/60 whitespace-nowrap">edited</span>}
+              </p>
+            )}
+            {attachmentList}
+          </div>
+        ) : (
+          <div className={bubbleClass}>
+            {senderName}
+            {quote}
+            {msg.text}
+            {msg.editedAt && (
+              <span
+                className="ml-2 text-[10px] text-white/60 whitespace-nowrap"
+                title={`Edited ${new Date(msg.editedAt).toLocaleString()}`}
+              >
+                edited
+              </span>
+            )}
+            {attachmentList}
+          </div>
+        )}
+
+        {/* grouped reaction counts */}
+        {reactions.length > 0 && (
+          <div className="-mt-2 flex flex-wrap gap-1 z-10">
+            {reactions.map(({ emoji, userIds }) => {
+              const reactedByMe = userIds.includes(currentUserId);
+              return (
+                <button
+                  key={emoji}
+                  type="button"
+                  onClick={() => onReact(msg, emoji)}
+                  title={userIds.map(nameOf).join(", ")}
+                  className={`flex items-center gap-1 px-1.5 py-0.5 rounded-full text-xs border transition ${
+                    reactedByMe
+                      ? "bg-violet-500/40 border-violet-300/40"
+                      : "bg-[#282142] border-white/10 hover:bg-white/10"
+                  }`}
+                >
+                  <span>{emoji}</span>
+                  <span className="text-white/80">{userIds.length}</span>
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {!isOwn && actions}
+
+      {/* avatar for own */}
+      {isOwn && timeColumn(ownAvatar, "you avatar", undefined, !isDeleted && <DeliveryTicks msg={msg} />)}
+    </div>
+  );
+};
+
+export default MessageBubble;
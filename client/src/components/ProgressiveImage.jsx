@@ -0,0 +1,36 @@
+// ProgressiveImage.jsx
+import React, { useState } from "react";
+import { blurhashDataUrl } from "../lib/utils";
+
+/**
+ * An image that holds its place while it loads. With the size and blurhash the server stored for it
+ * (`meta`, see message.imageMeta) the box takes the image's aspect ratio and shows the blurred
+ * placeholder, and the image fades in over it. Other props go to the <img>.
+ */
+const ProgressiveImage = ({ src, meta, alt, className = "", style, ...props }) => {
+  const [isLoaded, setIsLoaded] = useState(false);
+  const placeholder = isLoaded ? null : blurhashDataUrl(meta?.blurhash);
+
+  return (
+    <div
+      className={`relative overflow-hidden bg-cover bg-center ${className}`}
+      style={{
+        ...(meta?.width && meta?.height && { aspectRatio: `${meta.width} / ${meta.height}` }),
+        ...(placeholder && { backgroundImage: `url(${placeholder})` }),
+        ...style,
+      }}
+    >
+      <img
+        src={src}
+        alt={alt}
+        onLoad={() => setIsLoaded(true)}
+        className={`block w-full h-full object-cover transition-opacity duration-300 ${
+          placeholder ? "opacity-0" : "opacity-100"
+        }`}
+        {...props}
+      />
+    </div>
+  );
+};
+
+export default ProgressiveImage;
@@ -0,0 +1,105 @@
+// ReportModal.jsx
+import React, { useContext, useState } from "react";
+import { ChatContext } from "../../context/ChatContext";
+import { messagePreview } from "../lib/utils";
+
+// keep in sync with REPORT_REASONS on the server
+const REASONS = [
+  { value: "spam", label: "Spam or scam" },
+  { value: "harassment", label: "Harassment or bullying" },
+  { value: "hate", label: "Hate speech" },
+  { value: "sexual", label: "Sexual content" },
+  { value: "violence", label: "Violence or threats" },
+  { value: "impersonation", label: "Impersonation" },
+  { value: "other", label: "Something else" },
+];
+
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Modal to report a message (`message`) or a user (`user`) to the moderators,
+ * with a reason category and an optional comment.
+ */
+const ReportModal = ({ message = null, user = null, onClose }) => {
+  const { reportContent } = useContext(ChatContext);
+
+  const [reason, setReason] = useState("");
+  const [comment, setComment] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const data = await reportContent(
+      message
+        ? { targetType: "message", messageId: message._id, reason, comment }
+        : { targetType: "user", userId: user._id, reason, comment }
+    );
+    setIsSubmitting(false);
+    if (data?.success) onClose();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[70] flex items-center justify-center bg-black/60 p-4"
+      role="dialog"
+      aria-modal="true"
+      onClick={onClose}
+    >
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-sm rounded-2xl bg-[#1f1830] border border-white/10 text-white p-5 shadow-2xl flex flex-col gap-4"
+      >
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold">{message ? "Report message" : `Report ${user.fullName}`}</h3>
+          <button type="button" onClick={onClose} className="p-2 rounded-full hover:bg-white/5 transition" aria-label="Close">
+            <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none"><path d="M6 18L18 6M6 6l12 12" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round" /></svg>
+          </button>
+        </div>
+
+        {message && (
+          <p className="text-xs text-white/60 px-3 py-2 rounded-lg bg-white/5 border-l-2 border-rose-400 truncate">
+            {messagePreview(message)}
+          </p>
+        )}
+
+        <fieldset className="flex flex-col gap-1.5">
+          <legend className="text-xs text-white/60 mb-1">What's wrong?</legend>
+          {REASONS.map((option) => (
+            <label key={option.value} className="flex items-center gap-2 text-sm cursor-pointer">
+              <input
+                type="radio"
+                name="reason"
+                value={option.value}
+                checked={reason === option.value}
+                onChange={() => setReason(option.value)}
+                className="accent-violet-500"
+              />
+              {option.label}
+            </label>
+          ))}
+        </fieldset>
+
+        <textarea
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          maxLength={MAX_COMMENT_LENGTH}
+          rows={3}
+          placeholder="Anything the moderators should know? (optional)"
+          className="p-3 rounded-lg bg-white/5 text-sm text-white placeholder-white/40 border border-white/10 outline-none focus:border-indigo-400 resize-none"
+        />
+
+        <button
+          type="submit"
+          disabled={!reason || isSubmitting}
+          className="py-2.5 rounded-full text-sm font-semibold text-white bg-rose-600 hover:bg-rose-500 disabled:opacity-50 transition"
+        >
+          {isSubmitting ? "Sending…" : "Send report"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ReportModal;
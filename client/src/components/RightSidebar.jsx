@@ -3,6 +3,10 @@ import React, { useContext, useMemo, useState } from "react";
 import assets from "../assets/assets";
 import { ChatContext } from "../../context/ChatContext";
 import { AuthContext } from "../../context/AuthContext";
+import GroupMembers from "./GroupMembers";
+import LastSeen from "./LastSeen";
+import ReportModal from "./ReportModal";
+import ProgressiveImage from "./ProgressiveImage";
 
 /**
  * RightSidebar — responsive & non-blocking
@@ -13,20 +17,31 @@ import { AuthContext } from "../../context/AuthContext";
  *
  * - Desktop (md+): standard right-side panel (md:w-80). The media grid
  *   shows inline as before. No change to desktop UX.
+ *
+ * - Groups: the profile header shows the group, followed by its members.
+ *
+ * - Media grids load the images' thumbnails, over their blurhash placeholders.
  */
 const RightSidebar = () => {
   const chat = useContext(ChatContext) || {};
   const auth = useContext(AuthContext) || {};
 
-  const { selectedUser, messages = [] } = chat;
+  const { selectedUser, selectedGroup, leaveGroup, setUserBlocked, messages = [] } = chat;
   const { logout, onlineUsers = [] } = auth;
 
   const [activeImage, setActiveImage] = useState(null);
   const [showMobileMedia, setShowMobileMedia] = useState(false);
+  const [isReporting, setIsReporting] = useState(false);
 
-  // collect images for this conversation
+  // collect images for this conversation: [{ url, meta }], meta holding the thumbnail and placeholder
   const msgImages = useMemo(() => {
-    if (!selectedUser || !Array.isArray(messages)) return [];
+    if (!Array.isArray(messages)) return [];
+    const toMedia = (m) => ({ url: m.image, meta: m.imageMeta });
+    // every loaded message belongs to the open group
+    if (selectedGroup) {
+      return messages.filter((m) => m?.image).map(toMedia).reverse();
+    }
+    if (!selectedUser) return [];
     const uid = selectedUser._id;
     return messages
       .filter(
@@ -37,16 +52,18 @@ const RightSidebar = () => {
             m.receiverId === uid ||
             (Array.isArray(m.participants) && m.participants.includes(uid)))
       )
-      .map((m) => m.image)
-      .filter(Boolean)
+      .map(toMedia)
       .reverse();
-  }, [messages, selectedUser]);
+  }, [messages, selectedUser, selectedGroup]);
 
-  if (!selectedUser) return null;
+  if (!selectedUser && !selectedGroup) return null;
 
-  const profilePic = selectedUser?.profilePic || assets.avatar_icon || assets.logo_icon;
-  const fullName = selectedUser?.fullName || "Unknown User";
-  const bio = selectedUser?.bio || "";
+  const profilePic = selectedGroup
+    ? selectedGroup.avatar || assets.avatar_icon
+    : selectedUser?.profilePic || assets.avatar_icon || assets.logo_icon;
+  const fullName = selectedGroup ? selectedGroup.name : selectedUser?.fullName || "Unknown User";
+  const bio = selectedGroup ? `${selectedGroup.members.length} members` : selectedUser?.bio || "";
+  const isUserOnline = !selectedGroup && onlineUsers.includes(selectedUser._id);
 
   const handleImageError = (e) => {
     e.currentTarget.onerror = null;
@@ -55,8 +72,9 @@ const RightSidebar = () => {
 
   const joinedDate = (() => {
     try {
-      if (!selectedUser?.createdAt) return "—";
-      const d = new Date(selectedUser.createdAt);
+      const createdAt = (selectedGroup || selectedUser)?.createdAt;
+      if (!createdAt) return "—";
+      const d = new Date(createdAt);
       return isNaN(d.getTime()) ? "—" : d.toLocaleDateString();
     } catch {
       return "—";
@@ -93,19 +111,37 @@ const RightSidebar = () => {
           <div className="text-center w-full px-2">
             <div className="flex items-center justify-center gap-2">
               <h2 className="text-lg md:text-xl font-semibold truncate">{fullName}</h2>
-              <span
-                title={onlineUsers.includes(selectedUser._id) ? "Online" : "Offline"}
-                className={`inline-block w-2 h-2 rounded-full ${
-                  onlineUsers.includes(selectedUser._id) ? "bg-green-400" : "bg-neutral-400/60"
-                }`}
-              />
+              {!selectedGroup && (
+                <span
+                  title={isUserOnline ? "Online" : "Offline"}
+                  className={`inline-block w-2 h-2 rounded-full ${
+                    isUserOnline ? "bg-green-400" : "bg-neutral-400/60"
+                  }`}
+                />
+              )}
             </div>
+            {!selectedGroup && (
+              <p className="mt-1 text-xs">
+                {isUserOnline ? (
+                  <span className="text-green-300">Online</span>
+                ) : (
+                  <LastSeen date={selectedUser.lastSeen} className="text-white/60" />
+                )}
+              </p>
+            )}
             {bio ? <p className="mt-2 text-sm text-white/70 px-4 line-clamp-2 md:line-clamp-none">{bio}</p> : null}
           </div>
         </div>
 
         <hr className="border-white/10 my-3" />
 
+        {selectedGroup && (
+          <>
+            <GroupMembers key={selectedGroup._id} group={selectedGroup} />
+            <hr className="border-white/10 my-3" />
+          </>
+        )}
+
         {/* Media row (mobile opens gallery, desktop shows grid inline) */}
         <div className="px-1 text-xs">
           {/* Row header */}
@@ -139,18 +175,19 @@ const RightSidebar = () => {
               <div className="text-white/60 text-sm py-6 text-center">No media shared.</div>
             ) : (
               <div className="grid grid-cols-2 gap-3">
-                {msgImages.map((url, idx) => (
+                {msgImages.map(({ url, meta }, idx) => (
                   <button
                     key={idx}
                     onClick={() => setActiveImage(url)}
                     className="relative rounded-lg overflow-hidden group w-full h-28 focus:outline-none"
                     title="Open image"
                   >
-                    <img
-                      src={url}
+                    <ProgressiveImage
+                      src={meta?.thumbnailUrl || url}
+                      meta={meta}
                       alt={`shared-${idx}`}
                       onError={handleImageError}
-                      className="w-full h-full object-cover transition-transform duration-200 group-hover:scale-105"
+                      className="w-full h-full transition-transform duration-200 group-hover:scale-105"
                       loading="lazy"
                     />
                   </button>
@@ -164,10 +201,39 @@ const RightSidebar = () => {
         <div className="mt-4 flex flex-col items-center">
           <div className="w-full text-center text-xs text-white/60 mb-3">
             <p>
-              Member since: <span className="font-medium text-white/80">{joinedDate}</span>
+              {selectedGroup ? "Created: " : "Member since: "}
+              <span className="font-medium text-white/80">{joinedDate}</span>
             </p>
           </div>
 
+          {selectedGroup && (
+            <button
+              onClick={() => leaveGroup(selectedGroup._id)}
+              className="mb-3 text-sm text-rose-300 hover:text-rose-200"
+            >
+              Leave group
+            </button>
+          )}
+
+          {!selectedGroup && (
+            <button
+              onClick={() => {
+                if (selectedUser.blocked || window.confirm(`Block ${fullName}? You won't be able to message each other.`)) {
+                  setUserBlocked(selectedUser._id, !selectedUser.blocked);
+                }
+              }}
+              className="mb-3 text-sm text-rose-300 hover:text-rose-200"
+            >
+              {selectedUser.blocked ? "Unblock" : "Block"}
+            </button>
+          )}
+
+          {!selectedGroup && (
+            <button onClick={() => setIsReporting(true)} className="mb-3 text-sm text-rose-300 hover:text-rose-200">
+              Report
+            </button>
+          )}
+
           <button
             onClick={() => (typeof logout === "function" ? logout() : (window.location.href = "/logout"))}
             className="bg-gradient-to-r from-purple-400 to-violet-600 text-white text-sm font-medium py-2 px-6 rounded-full shadow-md hover:scale-[1.01] transition"
@@ -213,21 +279,22 @@ const RightSidebar = () => {
               <div className="text-white/70 text-center mt-14">No media shared yet.</div>
             ) : (
               <div className="grid grid-cols-2 gap-3">
-                {msgImages.map((url, idx) => (
+                {msgImages.map(({ url, meta }, idx) => (
                   <button
                     key={idx}
                     onClick={() => setActiveImage(url)}
                     className="relative rounded-lg overflow-hidden group w-full h-36 focus:outline-none"
                     title="Open image"
                   >
-                    <img
-                      src={url}
+                    <ProgressiveImage
+                      src={meta?.thumbnailUrl || url}
+                      meta={meta}
                       alt={`shared-${idx}`}
                       onError={(e) => {
                         e.currentTarget.onerror = null;
                         e.currentTarget.src = assets.logo_icon || "";
                       }}
-                      className="w-full h-full object-cover transition-transform duration-200 group-hover:scale-105"
+                      className="w-full h-full transition-transform duration-200 group-hover:scale-105"
                       loading="lazy"
                     />
                   </button>
@@ -238,6 +305,8 @@ const RightSidebar = () => {
         </div>
       )}
 
+      {isReporting && selectedUser && <ReportModal user={selectedUser} onClose={() => setIsReporting(false)} />}
+
       {/* Lightbox modal (both mobile & desktop) */}
       {activeImage && (
         <div
@@ -0,0 +1,102 @@
+// SessionsSection.jsx
+import React, { useContext, useEffect, useState } from "react";
+import { AuthContext } from "../../context/AuthContext";
+import { describeUserAgent } from "../lib/utils";
+
+/**
+ * "Sessions" card of the ProfilePage: every device the user is signed in on,
+ * with its address and activity, and buttons to sign out one or all others.
+ */
+const SessionsSection = () => {
+  const { getSessions, revokeSession, logout } = useContext(AuthContext);
+
+  const [sessions, setSessions] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadSessions = async () => {
+    const list = await getSessions();
+    if (list) setSessions(list);
+  };
+
+  useEffect(() => {
+    loadSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout();
+      return;
+    }
+    setBusyId(session._id);
+    const data = await revokeSession(session._id);
+    setBusyId(null);
+    if (data?.success) setSessions((prev) => prev.filter((s) => s._id !== session._id));
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm("Sign out of every other device?")) return;
+    setBusyId("others");
+    const data = await revokeSession();
+    setBusyId(null);
+    if (data?.success) setSessions((prev) => prev.filter((s) => s.current));
+  };
+
+  const otherCount = sessions ? sessions.filter((s) => !s.current).length : 0;
+
+  return (
+    <section className="w-full max-w-3xl rounded-2xl border border-white/10 bg-white/5 backdrop-blur-xl shadow-2xl p-6 sm:p-8">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-xl font-semibold tracking-tight text-white">Sessions</h3>
+          <p className="text-xs text-white/60 mt-1">Devices where you are signed in.</p>
+        </div>
+        {otherCount > 0 && (
+          <button
+            type="button"
+            onClick={handleRevokeOthers}
+            disabled={busyId === "others"}
+            className="text-xs px-3 py-2 rounded-full border border-rose-400/40 text-rose-300 hover:bg-rose-500/10 disabled:opacity-50 transition"
+          >
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      {!sessions ? (
+        <p className="text-sm text-white/60">Loading sessions…</p>
+      ) : (
+        <ul className="flex flex-col divide-y divide-white/10">
+          {sessions.map((session) => (
+            <li key={session._id} className="flex items-center justify-between gap-4 py-3">
+              <div className="min-w-0">
+                <p className="text-sm text-white truncate">
+                  {describeUserAgent(session.userAgent)}
+                  {session.current && (
+                    <span className="ml-2 text-[10px] uppercase tracking-wider text-green-300 bg-green-900/20 px-2 py-0.5 rounded-full">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-white/60 truncate" title={session.userAgent}>
+                  {session.ip || "Unknown address"} · signed in {new Date(session.createdAt).toLocaleDateString()} ·
+                  active {new Date(session.lastActiveAt).toLocaleString()}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(session)}
+                disabled={busyId === session._id}
+                className="shrink-0 text-xs px-3 py-1.5 rounded-full border border-white/15 text-white/80 hover:bg-white/10 disabled:opacity-50 transition"
+              >
+                {session.current ? "Log out" : "Sign out"}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default SessionsSection;
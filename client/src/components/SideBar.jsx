@@ -5,24 +5,33 @@ import { useNavigate } from "react-router-dom";
 import { AuthContext } from "../../context/AuthContext";
 import { ChatContext } from "../../context/ChatContext";
 import toast from "react-hot-toast";
+import CreateGroupModal from "./CreateGroupModal";
+import { typingLabel } from "../lib/utils";
 
 const Sidebar = () => {
   const {
     getUsers,
+    getGroups,
     users = [],
+    groups = [],
     selectedUser,
     setSelectedUser,
+    selectedGroup,
+    setSelectedGroup,
     unseenMessages,
     setUnseenMessages,
+    typingUsers = {},
   } = useContext(ChatContext);
 
   // logout from AuthContext (expects the improved logout that returns a Promise)
-  const { logout, onlineUsers = [] } = useContext(AuthContext);
+  const { authUser, logout, onlineUsers = [] } = useContext(AuthContext);
+  const isAdmin = authUser?.role === "admin";
 
   // local UI state
   const [input, setInput] = useState("");
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [actionLoading, setActionLoading] = useState(false); // blocks menu actions while processing
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
 
   // responsive flags for behaviour (mobile vs desktop)
   const [isNarrow, setIsNarrow] = useState(
@@ -42,6 +51,9 @@ const Sidebar = () => {
   const filteredUsers = q
     ? users.filter((user) => user.fullName.toLowerCase().includes(q))
     : users;
+  const filteredGroups = q
+    ? groups.filter((group) => group.name.toLowerCase().includes(q))
+    : groups;
 
   // keep user list updated whenever onlineUsers changes
   useEffect(() => {
@@ -49,6 +61,12 @@ const Sidebar = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [onlineUsers]);
 
+  // load groups once on mount, later changes arrive over the socket
+  useEffect(() => {
+    getGroups();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   // responsive resize handler
   useEffect(() => {
     function onResize() {
@@ -90,10 +108,17 @@ const Sidebar = () => {
   }, []);
 
   const handleSelectUser = (user) => {
+    setSelectedGroup(null);
     setSelectedUser(user);
     setUnseenMessages((prev) => ({ ...prev, [user._id]: 0 }));
   };
 
+  const handleSelectGroup = (group) => {
+    setSelectedUser(null);
+    setSelectedGroup(group);
+    setUnseenMessages((prev) => ({ ...prev, [group._id]: 0 }));
+  };
+
   /**
    * Navigate to profile quickly:
    * - prevent event propagation
@@ -126,6 +151,13 @@ const Sidebar = () => {
     }, 800);
   };
 
+  const handleNavigateAdmin = (e) => {
+    if (e?.stopPropagation) e.stopPropagation();
+    if (e?.preventDefault) e.preventDefault();
+    setIsMenuOpen(false);
+    navigate("/admin");
+  };
+
   /**
    * Logout robustly:
    * - prevent event propagation
@@ -167,7 +199,7 @@ const Sidebar = () => {
   return (
     <div
       className={`bg-[#8185B2]/10 h-full p-5 rounded-r-xl overflow-y-scroll text-white ${
-        selectedUser ? "max-md:hidden" : ""
+        selectedUser || selectedGroup ? "max-md:hidden" : ""
       }`}
     >
       <div className="pb-5">
@@ -240,6 +272,18 @@ const Sidebar = () => {
                 )}
               </button>
 
+              {isAdmin && (
+                <button
+                  type="button"
+                  onClick={handleNavigateAdmin}
+                  className="w-full text-left text-sm py-2 px-1 rounded hover:bg-white/5 transition"
+                  role="menuitem"
+                  tabIndex={0}
+                >
+                  Admin
+                </button>
+              )}
+
               <hr className="my-2 border-t border-gray-500" />
 
               <button
@@ -286,6 +330,18 @@ const Sidebar = () => {
                     {actionLoading && <svg className="w-4 h-4 animate-spin text-white/80" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="3" strokeOpacity="0.15" /><path d="M22 12a10 10 0 00-10-10" stroke="currentColor" strokeWidth="3" strokeLinecap="round" /></svg>}
                   </button>
 
+                  {isAdmin && (
+                    <button
+                      type="button"
+                      onClick={handleNavigateAdmin}
+                      className="w-full text-left text-sm py-2 px-2 rounded hover:bg-white/5 transition"
+                      role="menuitem"
+                      tabIndex={0}
+                    >
+                      Admin
+                    </button>
+                  )}
+
                   <hr className="my-2 border-t border-gray-500" />
 
                   <button
@@ -342,6 +398,16 @@ const Sidebar = () => {
                         {actionLoading && <svg className="w-4 h-4 animate-spin text-white/80" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="3" strokeOpacity="0.15" /><path d="M22 12a10 10 0 00-10-10" stroke="currentColor" strokeWidth="3" strokeLinecap="round" /></svg>}
                       </button>
 
+                      {isAdmin && (
+                        <button
+                          type="button"
+                          onClick={handleNavigateAdmin}
+                          className="w-full text-left bg-[rgba(255,255,255,0.02)] hover:bg-[rgba(255,255,255,0.04)] text-white rounded-lg py-3 px-3 transition"
+                        >
+                          Admin
+                        </button>
+                      )}
+
                       <button
                         type="button"
                         onClick={handleLogout}
@@ -383,8 +449,65 @@ const Sidebar = () => {
         </div>
       </div>
 
+      {/* Groups list */}
+      <div className="flex items-center justify-between px-2">
+        <p className="text-xs uppercase tracking-wider text-white/60">Groups</p>
+        <button
+          type="button"
+          onClick={() => setShowCreateGroup(true)}
+          className="text-xs text-indigo-300 hover:text-indigo-200"
+        >
+          + New group
+        </button>
+      </div>
+      <div className="flex flex-col mt-2">
+        {filteredGroups.map((group) => (
+          <div
+            key={group._id}
+            onClick={() => handleSelectGroup(group)}
+            className={`relative flex items-center gap-2 p-2 pl-4 rounded cursor-pointer max-sm:text-sm ${
+              selectedGroup?._id === group._id ? "bg-[#282142]/50" : ""
+            }`}
+            role="button"
+            tabIndex={0}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") handleSelectGroup(group);
+            }}
+            aria-label={`Open group ${group.name}`}
+          >
+            <img
+              src={group.avatar || assets.avatar_icon}
+              alt={`${group.name} avatar`}
+              className="w-[35px] aspect-[1/1] rounded-full object-cover"
+            />
+            <div className="flex flex-col leading-5 min-w-0">
+              <p className="truncate">{group.name}</p>
+              {typingUsers[group._id]?.length > 0 ? (
+                <span className="text-violet-300 text-xs italic truncate">
+                  {typingLabel(
+                    typingUsers[group._id].map(
+                      (id) => group.members.find((m) => m._id === id)?.fullName || "Someone"
+                    )
+                  )}
+                </span>
+              ) : (
+                <span className="text-neutral-400 text-xs">{group.members.length} members</span>
+              )}
+            </div>
+
+            {unseenMessages?.[group._id] > 0 && (
+              <p className="absolute top-4 right-4 text-xs h-5 w-5 flex justify-center items-center rounded-full bg-violet-500/50">
+                {unseenMessages[group._id]}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <p className="mt-4 px-2 text-xs uppercase tracking-wider text-white/60">Direct messages</p>
+
       {/* Users list */}
-      <div className="flex flex-col mt-4">
+      <div className="flex flex-col mt-2">
         {filteredUsers.map((user, index) => (
           <div
             key={user._id || index}
@@ -406,7 +529,9 @@ const Sidebar = () => {
             />
             <div className="flex flex-col leading-5 min-w-0">
               <p className="truncate">{user.fullName}</p>
-              {onlineUsers.includes(user._id) ? (
+              {typingUsers[user._id]?.length > 0 ? (
+                <span className="text-violet-300 text-xs italic">typing…</span>
+              ) : onlineUsers.includes(user._id) ? (
                 <span className="text-green-400 text-xs">Online</span>
               ) : (
                 <span className="text-neutral-400 text-xs">Offline</span>
@@ -422,6 +547,8 @@ const Sidebar = () => {
         ))}
       </div>
 
+      {showCreateGroup && <CreateGroupModal onClose={() => setShowCreateGroup(false)} />}
+
       {/* Ensure hover-only menu doesn't render on small screens */}
       <style>{`
         @media (max-width: 767px) {
@@ -0,0 +1,201 @@
+// TwoFactorSection.jsx
+import React, { useContext, useState } from "react";
+import QRCode from "qrcode";
+import toast from "react-hot-toast";
+import { AuthContext } from "../../context/AuthContext";
+
+const inputClass =
+  "p-3 rounded-lg bg-white/5 text-white placeholder-white/40 border border-white/10 outline-none focus:border-indigo-400 focus:ring-2 focus:ring-indigo-400/50 transition";
+
+const buttonClass =
+  "inline-flex items-center justify-center bg-gradient-to-r from-purple-500 to-indigo-600 text-white px-5 py-2.5 rounded-full text-sm font-semibold shadow-lg hover:opacity-95 disabled:opacity-60 transition cursor-pointer";
+
+/**
+ * "Two-factor authentication" card of the ProfilePage. Enabling shows a QR code
+ * for an authenticator app, confirms it with a code and then lists the recovery
+ * codes once; disabling needs the password and a code.
+ */
+const TwoFactorSection = () => {
+  const { authUser, setupTwoFactor, enableTwoFactor, disableTwoFactor } = useContext(AuthContext);
+  const isEnabled = Boolean(authUser?.twoFactor?.enabled);
+
+  // { secret, qrCode } while the user is scanning
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleStart = async () => {
+    setIsSubmitting(true);
+    const data = await setupTwoFactor();
+    if (data) {
+      try {
+        const qrCode = await QRCode.toDataURL(data.otpauthUrl, { margin: 1, width: 192 });
+        setSetup({ secret: data.secret, qrCode });
+      } catch {
+        setSetup({ secret: data.secret, qrCode: null });
+      }
+    }
+    setIsSubmitting(false);
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const data = await enableTwoFactor(code.trim());
+    setIsSubmitting(false);
+    if (data?.success) {
+      setSetup(null);
+      setCode("");
+      setRecoveryCodes(data.recoveryCodes);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const data = await disableTwoFactor(password, code.trim());
+    setIsSubmitting(false);
+    if (data?.success) {
+      setPassword("");
+      setCode("");
+    }
+  };
+
+  const copyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join("\n"));
+      toast.success("Recovery codes copied");
+    } catch {
+      toast.error("Could not copy, please write them down");
+    }
+  };
+
+  const downloadRecoveryCodes = () => {
+    const blob = new Blob([`Chattrix recovery codes\n\n${recoveryCodes.join("\n")}\n`], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "chattrix-recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <section className="w-full max-w-3xl rounded-2xl border border-white/10 bg-white/5 backdrop-blur-xl shadow-2xl p-6 sm:p-8">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="text-xl font-semibold tracking-tight text-white">Two-factor authentication</h3>
+        <span
+          className={`text-xs px-2 py-0.5 rounded-full border ${
+            isEnabled ? "border-emerald-400/40 text-emerald-300" : "border-white/15 text-white/60"
+          }`}
+        >
+          {isEnabled ? "On" : "Off"}
+        </span>
+      </div>
+      <p className="text-xs text-white/60 mt-1 mb-4">
+        Ask for a code from an authenticator app every time you log in.
+      </p>
+
+      {recoveryCodes && (
+        <div className="mb-4 rounded-xl border border-amber-400/30 bg-amber-400/5 p-4">
+          <p className="text-sm text-amber-200 mb-3">
+            Save these recovery codes somewhere safe. Each one works once if you lose your device — they won't be
+            shown again.
+          </p>
+          <ul className="grid grid-cols-2 sm:grid-cols-5 gap-2 font-mono text-sm text-white">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+          <div className="flex flex-wrap gap-2 mt-3">
+            <button type="button" onClick={copyRecoveryCodes} className="px-3 py-1.5 rounded-lg text-xs text-white/80 border border-white/10 hover:bg-white/5 transition">
+              Copy
+            </button>
+            <button type="button" onClick={downloadRecoveryCodes} className="px-3 py-1.5 rounded-lg text-xs text-white/80 border border-white/10 hover:bg-white/5 transition">
+              Download
+            </button>
+            <button type="button" onClick={() => setRecoveryCodes(null)} className="px-3 py-1.5 rounded-lg text-xs text-white/80 border border-white/10 hover:bg-white/5 transition">
+              I've saved them
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!isEnabled && !setup && (
+        <button type="button" onClick={handleStart} disabled={isSubmitting} className={buttonClass}>
+          {isSubmitting ? "Preparing…" : "Set up two-factor authentication"}
+        </button>
+      )}
+
+      {!isEnabled && setup && (
+        <form onSubmit={handleEnable} className="flex flex-col sm:flex-row gap-5 items-start">
+          {setup.qrCode && (
+            <img src={setup.qrCode} alt="Authenticator QR code" className="w-40 h-40 rounded-lg bg-white p-1" />
+          )}
+          <div className="flex flex-col gap-3 flex-1 min-w-0">
+            <p className="text-sm text-white/70">
+              Scan the code with your authenticator app, or enter this key by hand:
+            </p>
+            <code className="text-xs text-white break-all bg-black/30 rounded-lg px-3 py-2">{setup.secret}</code>
+            <input
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="6-digit code"
+              aria-label="Authentication code"
+              required
+              className={inputClass}
+            />
+            <div className="flex gap-2">
+              <button type="submit" disabled={isSubmitting} className={buttonClass}>
+                {isSubmitting ? "Checking…" : "Turn on"}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setSetup(null);
+                  setCode("");
+                }}
+                className="px-4 py-2 rounded-full text-sm text-white/80 border border-white/10 hover:bg-white/5 transition"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {isEnabled && (
+        <form onSubmit={handleDisable} className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Current password"
+            aria-label="Current password"
+            required
+            className={inputClass}
+          />
+          <input
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Code or recovery code"
+            aria-label="Authentication code or recovery code"
+            required
+            className={inputClass}
+          />
+          <button type="submit" disabled={isSubmitting} className={`sm:col-span-2 justify-self-start ${buttonClass}`}>
+            {isSubmitting ? "Turning off…" : "Turn off two-factor authentication"}
+          </button>
+        </form>
+      )}
+    </section>
+  );
+};
+
+export default TwoFactorSection;
@@ -0,0 +1,95 @@
+const MB = 1024 * 1024;
+
+// File types that can be attached to a message and their size limits.
+// Mirrors server/lib/attachments.js, which has the final say.
+export const ATTACHMENT_KINDS = {
+    image: {
+        label: "Images",
+        maxSize: 10 * MB,
+        types: { "image/png": ".png", "image/jpeg": ".jpg,.jpeg", "image/gif": ".gif", "image/webp": ".webp" },
+    },
+    pdf: {
+        label: "PDFs",
+        maxSize: 20 * MB,
+        types: { "application/pdf": ".pdf" },
+    },
+    text: {
+        label: "Text files",
+        maxSize: 2 * MB,
+        types: { "text/plain": ".txt", "text/markdown": ".md", "text/csv": ".csv", "application/json": ".json" },
+    },
+    document: {
+        label: "Documents",
+        maxSize: 20 * MB,
+        types: {
+            "application/msword": ".doc",
+            "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+            "application/vnd.ms-excel": ".xls",
+            "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ".xlsx",
+            "application/vnd.ms-powerpoint": ".ppt",
+            "application/vnd.openxmlformats-officedocument.presentationml.presentation": ".pptx",
+            "application/vnd.oasis.opendocument.text": ".odt",
+            "application/vnd.oasis.opendocument.spreadsheet": ".ods",
+            "application/vnd.oasis.opendocument.presentation": ".odp",
+            "application/rtf": ".rtf",
+        },
+    },
+    video: {
+        label: "Videos",
+        maxSize: 200 * MB,
+        types: { "video/mp4": ".mp4", "video/webm": ".webm", "video/quicktime": ".mov" },
+    },
+    archive: {
+        label: "Archives",
+        maxSize: 25 * MB,
+        types: {
+            "application/zip": ".zip",
+            "application/x-zip-compressed": ".zip",
+            "application/x-7z-compressed": ".7z",
+            "application/vnd.rar": ".rar",
+            "application/x-rar-compressed": ".rar",
+            "application/gzip": ".gz",
+            "application/x-gzip": ".gz",
+            "application/x-tar": ".tar",
+        },
+    },
+};
+
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENTS_SIZE = 250 * MB;
+
+// value for the file input's accept attribute
+export const ATTACHMENT_ACCEPT = Object.values(ATTACHMENT_KINDS)
+    .flatMap(({ types }) => [...Object.keys(types), ...Object.values(types)])
+    .join(",");
+
+export function attachmentKind(mimeType){
+    return Object.keys(ATTACHMENT_KINDS).find((kind) => ATTACHMENT_KINDS[kind].types[mimeType]) || null;
+}
+
+// The type of a picked file; browsers leave it empty for some extensions (e.g. .md, .7z on some systems)
+export function fileType(file){
+    if (file.type && attachmentKind(file.type)) return file.type;
+    const extension = `.${file.name.split(".").pop().toLowerCase()}`;
+    for (const { types } of Object.values(ATTACHMENT_KINDS)) {
+        const match = Object.entries(types).find(([, extensions]) => extensions.split(",").includes(extension));
+        if (match) return match[0];
+    }
+    return file.type;
+}
+
+// Why a picked file can't be sent, or null when it can
+export function attachmentError(file){
+    const kind = attachmentKind(fileType(file));
+    if (!kind) return `${file.name}: this file type can't be sent`;
+    const { maxSize, label } = ATTACHMENT_KINDS[kind];
+    if (file.size > maxSize) return `${file.name} is too large (${label} up to ${formatFileSize(maxSize)})`;
+    return null;
+}
+
+// "512 B", "14.2 KB", "3.1 MB"
+export function formatFileSize(bytes = 0){
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < MB) return `${Number((bytes / 1024).toFixed(1))} KB`;
+    return `${Number((bytes / MB).toFixed(1))} MB`;
+}
@@ -0,0 +1,46 @@
+// Files picked for a message that isn't sent yet, kept in IndexedDB (which can hold the File itself)
+// so their uploads pick up where they were after a page reload.
+// Records: { id, userId, chatId, asImage, file, sessionId, uploadId }.
+// Best effort: without IndexedDB (e.g. some private modes) uploads just don't survive a reload.
+const DB_NAME = "chattrix";
+const STORE = "pendingUploads";
+
+let dbPromise = null;
+
+function openDb(){
+    dbPromise ||= new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: "id" });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    return dbPromise;
+}
+
+// run `action(store)` in a transaction, resolving to its request's result
+async function withStore(mode, action){
+    try {
+        const db = await openDb();
+        return await new Promise((resolve, reject) => {
+            const request = action(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } catch {
+        return null;
+    }
+}
+
+export function savePendingUpload(record){
+    return withStore("readwrite", (store) => store.put(record));
+}
+
+export function deletePendingUpload(id){
+    return withStore("readwrite", (store) => store.delete(id));
+}
+
+// the user's records for a chat
+export async function loadPendingUploads(userId, chatId){
+    const records = (await withStore("readonly", (store) => store.getAll())) || [];
+    return records.filter((record) => record.userId === userId && record.chatId === chatId);
+}
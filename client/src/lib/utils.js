@@ -1,7 +1,91 @@
+import { decode } from "blurhash";
+
 export function formatMessageTime(date){
     return new Date(date).toLocaleTimeString("en-US",{
         hour: "2-digit",
         minute: "2-digit",
         hour12: false,
     })
-}
\ No newline at end of file
+}
+
+// Short one-line description of a message, used for quotes and previews
+export function messagePreview(message){
+    if (!message) return "";
+    if (message.deletedForEveryone) return "Message deleted";
+    if (message.text) return message.text;
+    if (message.image) return "Photo";
+    const files = message.attachments || [];
+    if (files.length === 1) return `📎 ${files[0].name}`;
+    return files.length > 1 ? `📎 ${files.length} files` : "";
+}
+
+// Group a message's reactions by emoji, keeping the order each emoji was first used
+export function groupReactions(reactions = []){
+    const groups = new Map();
+    reactions.forEach(({ emoji, userId }) => {
+        if (!groups.has(emoji)) groups.set(emoji, []);
+        groups.get(emoji).push(userId);
+    });
+    return [...groups].map(([emoji, userIds]) => ({ emoji, userIds }));
+}
+
+// "Ann is typing…", "Ann and Bob are typing…" or "3 people are typing…"
+export function typingLabel(names = []){
+    if (names.length === 0) return "";
+    if (names.length === 1) return `${names[0]} is typing…`;
+    if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+    return `${names.length} people are typing…`;
+}
+
+// "last seen just now", "last seen 5 min ago", "last seen yesterday at 14:02", ...
+export function formatLastSeen(date){
+    if (!date) return "";
+    const then = new Date(date);
+    const minutes = Math.floor((Date.now() - then.getTime()) / 60000);
+    if (minutes < 1) return "last seen just now";
+    if (minutes < 60) return `last seen ${minutes} min ago`;
+    if (minutes < 6 * 60) return `last seen ${Math.floor(minutes / 60)} h ago`;
+
+    const time = formatMessageTime(then);
+    const today = new Date();
+    const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+    if (then.toDateString() === today.toDateString()) return `last seen today at ${time}`;
+    if (then.toDateString() === yesterday.toDateString()) return `last seen yesterday at ${time}`;
+    return `last seen ${then.toLocaleDateString()}`;
+}
+
+// Rough "Chrome on Windows" style description of a user agent string
+export function describeUserAgent(userAgent = ""){
+    const browsers = [["Edg/", "Edge"], ["OPR/", "Opera"], ["Firefox/", "Firefox"], ["Chrome/", "Chrome"], ["Safari/", "Safari"]];
+    const systems = [["Android", "Android"], ["iPhone", "iOS"], ["iPad", "iPadOS"], ["Windows", "Windows"], ["Mac OS X", "macOS"], ["Linux", "Linux"]];
+    const browser = browsers.find(([marker]) => userAgent.includes(marker))?.[1];
+    const system = systems.find(([marker]) => userAgent.includes(marker))?.[1];
+    if (!browser && !system) return "Unknown device";
+    if (!system) return browser;
+    return browser ? `${browser} on ${system}` : system;
+}
+
+// blurhash placeholders are decoded at this size and stretched by the browser
+const BLURHASH_SIZE = 32;
+const blurhashUrls = new Map();
+
+// The blurred placeholder a blurhash describes, as a small PNG data URL (decoded once per hash); null without one
+export function blurhashDataUrl(hash){
+    if (!hash) return null;
+    if (!blurhashUrls.has(hash)) {
+        let url = null;
+        try {
+            const canvas = document.createElement("canvas");
+            canvas.width = canvas.height = BLURHASH_SIZE;
+            const context = canvas.getContext("2d");
+            const imageData = context.createImageData(BLURHASH_SIZE, BLURHASH_SIZE);
+            imageData.data.set(decode(hash, BLURHASH_SIZE, BLURHASH_SIZE));
+            context.putImageData(imageData, 0, 0);
+            url = canvas.toDataURL();
+        } catch {
+            // not a valid blurhash: no placeholder
+        }
+        blurhashUrls.set(hash, url);
+    }
+    return blurhashUrls.get(hash);
+}
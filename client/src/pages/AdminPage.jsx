@@ -0,0 +1,417 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import assets from "../assets/assets";
+import { AuthContext } from "../../context/AuthContext";
+
+const cardClass =
+  "w-full max-w-5xl rounded-2xl border border-white/10 bg-white/5 backdrop-blur-xl shadow-2xl p-6 sm:p-8";
+
+const smallButtonClass =
+  "text-xs px-3 py-1.5 rounded-full border border-white/15 text-white/80 hover:bg-white/10 disabled:opacity-50 transition";
+
+const dangerButtonClass =
+  "text-xs px-3 py-1.5 rounded-full border border-rose-400/40 text-rose-300 hover:bg-rose-500/10 disabled:opacity-50 transition";
+
+const REASON_LABELS = {
+  spam: "Spam",
+  harassment: "Harassment",
+  hate: "Hate speech",
+  sexual: "Sexual content",
+  violence: "Violence",
+  impersonation: "Impersonation",
+  other: "Other",
+};
+
+const StatCard = ({ label, value }) => (
+  <div className="rounded-xl border border-white/10 bg-black/20 p-4">
+    <p className="text-xs uppercase tracking-wider text-white/50">{label}</p>
+    <p className="text-2xl font-semibold text-white mt-1">{value ?? "—"}</p>
+  </div>
+);
+
+/**
+ * Bars for the messages sent per day; days without messages are filled in with 0
+ */
+const MessagesChart = ({ messagesPerDay, days }) => {
+  const counts = new Map(messagesPerDay.map((day) => [day.date, day.count]));
+  const series = Array.from({ length: days }, (_, i) => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() - (days - 1 - i));
+    const key = date.toISOString().slice(0, 10);
+    return { date: key, count: counts.get(key) || 0 };
+  });
+  const max = Math.max(1, ...series.map((day) => day.count));
+
+  return (
+    <div className="flex items-end gap-1 h-32" role="img" aria-label={`Messages per day over the last ${days} days`}>
+      {series.map((day) => (
+        <div
+          key={day.date}
+          title={`${day.date}: ${day.count} message(s)`}
+          className="flex-1 rounded-t bg-gradient-to-t from-purple-500 to-indigo-400 min-h-[2px]"
+          style={{ height: `${(day.count / max) * 100}%` }}
+        />
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Dashboard only admins can open: usage stats, user management and the moderation queue
+ */
+const AdminPage = () => {
+  const { authUser, getAdminStats, searchAdminUsers, manageUser, getReports, triageReport, resolveReport } =
+    useContext(AuthContext);
+  const navigate = useNavigate();
+
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+
+  const [query, setQuery] = useState("");
+  const [users, setUsers] = useState(null);
+
+  const [reportStatus, setReportStatus] = useState("open,reviewing");
+  const [reports, setReports] = useState(null);
+
+  // id of the user or report an action is running for
+  const [busyId, setBusyId] = useState(null);
+
+  const loadStats = async () => {
+    const data = await getAdminStats(days);
+    if (data) setStats(data.stats);
+  };
+
+  const loadUsers = async (q = query) => {
+    const data = await searchAdminUsers(q.trim());
+    if (data) setUsers(data.users);
+  };
+
+  const loadReports = async () => {
+    const data = await getReports(reportStatus);
+    if (data) setReports(data.reports);
+  };
+
+  useEffect(() => {
+    loadStats();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [days]);
+
+  useEffect(() => {
+    loadUsers("");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    loadReports();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [reportStatus]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadUsers();
+  };
+
+  const handleUserAction = async (user, action) => {
+    let body;
+    if (action === "suspend") {
+      const reason = window.prompt(`Why is ${user.fullName} being suspended?`);
+      if (reason === null) return;
+      body = { reason };
+    } else if (action === "logout" && !window.confirm(`Sign ${user.fullName} out of every device?`)) {
+      return;
+    }
+
+    setBusyId(user._id);
+    const data = await manageUser(user._id, action, body);
+    setBusyId(null);
+    if (data?.success) {
+      loadUsers();
+      if (action === "suspend" || action === "unsuspend") loadStats();
+    }
+  };
+
+  const handleTriage = async (report, status) => {
+    setBusyId(report._id);
+    const data = await triageReport(report._id, status);
+    setBusyId(null);
+    if (data?.success) loadReports();
+  };
+
+  const handleResolve = async (report, action) => {
+    const note = window.prompt("Note for the record (optional)");
+    if (note === null) return;
+
+    setBusyId(report._id);
+    const data = await resolveReport(report._id, action, note);
+    setBusyId(null);
+    if (data?.success) {
+      loadReports();
+      loadStats();
+      if (action === "suspendUser") loadUsers();
+    }
+  };
+
+  return (
+    <div className="min-h-screen w-full bg-gradient-to-br from-slate-900 via-indigo-950 to-black flex flex-col items-center gap-6 p-4 sm:p-8">
+      <header className="w-full max-w-5xl flex items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <img src={assets.logo_icon} alt="brand" className="w-10 h-10 opacity-80" />
+          <div>
+            <h2 className="text-2xl font-semibold tracking-tight text-white">Admin</h2>
+            <p className="text-xs text-white/60">Signed in as {authUser.fullName}</p>
+          </div>
+        </div>
+        <button type="button" onClick={() => navigate("/")} className={smallButtonClass}>
+          Back to chats
+        </button>
+      </header>
+
+      {/* Stats */}
+      <section className={cardClass}>
+        <div className="flex items-center justify-between gap-4 mb-4">
+          <h3 className="text-xl font-semibold tracking-tight text-white">Overview</h3>
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            aria-label="Period"
+            className="text-xs bg-black/30 text-white border border-white/10 rounded-lg px-2 py-1.5 outline-none"
+          >
+            <option value={7}>Last 7 days</option>
+            <option value={30}>Last 30 days</option>
+            <option value={90}>Last 90 days</option>
+          </select>
+        </div>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-6">
+          <StatCard label="Registered" value={stats?.registeredUsers} />
+          <StatCard label="Online now" value={stats?.onlineUsers} />
+          <StatCard label="Suspended" value={stats?.suspendedUsers} />
+          <StatCard label="Open reports" value={stats?.openReports} />
+        </div>
+        <p className="text-xs text-white/60 mb-2">Messages per day</p>
+        {stats ? (
+          <MessagesChart messagesPerDay={stats.messagesPerDay} days={days} />
+        ) : (
+          <p className="text-sm text-white/60">Loading stats…</p>
+        )}
+      </section>
+
+      {/* Users */}
+      <section className={cardClass}>
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+          <h3 className="text-xl font-semibold tracking-tight text-white">Users</h3>
+          <form onSubmit={handleSearch} className="flex gap-2">
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search by name or email"
+              aria-label="Search users"
+              className="text-sm p-2 rounded-lg bg-white/5 text-white placeholder-white/40 border border-white/10 outline-none focus:border-indigo-400"
+            />
+            <button type="submit" className={smallButtonClass}>
+              Search
+            </button>
+          </form>
+        </div>
+
+        {!users ? (
+          <p className="text-sm text-white/60">Loading users…</p>
+        ) : users.length === 0 ? (
+          <p className="text-sm text-white/60">No users found.</p>
+        ) : (
+          <ul className="flex flex-col divide-y divide-white/10">
+            {users.map((user) => (
+              <li key={user._id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 py-3">
+                <div className="flex items-center gap-3 min-w-0">
+                  <img
+                    src={user.profilePic || assets.avatar_icon}
+                    alt=""
+                    className="w-9 h-9 rounded-full object-cover shrink-0"
+                  />
+                  <div className="min-w-0">
+                    <p className="text-sm text-white truncate">
+                      {user.fullName}
+                      {user.online && <span className="ml-2 inline-block w-2 h-2 rounded-full bg-green-500" title="Online" />}
+                      {user.role === "admin" && (
+                        <span className="ml-2 text-[10px] uppercase tracking-wider text-indigo-200 bg-indigo-900/30 px-2 py-0.5 rounded-full">
+                          Admin
+                        </span>
+                      )}
+                      {user.suspendedAt && (
+                        <span
+                          className="ml-2 text-[10px] uppercase tracking-wider text-rose-200 bg-rose-900/30 px-2 py-0.5 rounded-full"
+                          title={user.suspensionReason}
+                        >
+                          Suspended
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-white/60 truncate">
+                      {user.email}
+                      {user.emailVerified === false && " (unverified)"} · joined{" "}
+                      {new Date(user.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                </div>
+                {user.role !== "admin" && (
+                  <div className="flex flex-wrap gap-2 shrink-0">
+                    {user.suspendedAt ? (
+                      <button
+                        type="button"
+                        onClick={() => handleUserAction(user, "unsuspend")}
+                        disabled={busyId === user._id}
+                        className={smallButtonClass}
+                      >
+                        Unsuspend
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => handleUserAction(user, "suspend")}
+                        disabled={busyId === user._id}
+                        className={dangerButtonClass}
+                      >
+                        Suspend
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleUserAction(user, "reset-password")}
+                      disabled={busyId === user._id}
+                      className={smallButtonClass}
+                    >
+                      Send reset link
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleUserAction(user, "logout")}
+                      disabled={busyId === user._id}
+                      className={smallButtonClass}
+                    >
+                      Sign out everywhere
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {/* Reports */}
+      <section className={cardClass}>
+        <div className="flex items-center justify-between gap-4 mb-4">
+          <h3 className="text-xl font-semibold tracking-tight text-white">Reports</h3>
+          <select
+            value={reportStatus}
+            onChange={(e) => setReportStatus(e.target.value)}
+            aria-label="Report status"
+            className="text-xs bg-black/30 text-white border border-white/10 rounded-lg px-2 py-1.5 outline-none"
+          >
+            <option value="open,reviewing">Queue</option>
+            <option value="resolved,dismissed">Closed</option>
+          </select>
+        </div>
+
+        {!reports ? (
+          <p className="text-sm text-white/60">Loading reports…</p>
+        ) : reports.length === 0 ? (
+          <p className="text-sm text-white/60">Nothing to review.</p>
+        ) : (
+          <ul className="flex flex-col divide-y divide-white/10">
+            {reports.map((report) => {
+              const isOpen = report.status === "open" || report.status === "reviewing";
+              return (
+                <li key={report._id} className="py-4 flex flex-col gap-2">
+                  <div className="flex flex-wrap items-center gap-2 text-sm text-white">
+                    <span className="font-medium">{REASON_LABELS[report.reason] || report.reason}</span>
+                    <span className="text-white/50">·</span>
+                    <span>
+                      {report.targetType === "message" ? "message from" : "user"}{" "}
+                      {report.reportedUserId?.fullName || "deleted user"}
+                    </span>
+                    <span className="text-[10px] uppercase tracking-wider text-white/70 bg-white/10 px-2 py-0.5 rounded-full">
+                      {report.status}
+                      {report.assignedTo && report.status === "reviewing" && ` · ${report.assignedTo.fullName}`}
+                    </span>
+                  </div>
+                  <p className="text-xs text-white/60">
+                    Reported by {report.reporterId?.fullName || "deleted user"} on{" "}
+                    {new Date(report.createdAt).toLocaleString()}
+                  </p>
+                  {report.comment && <p className="text-sm text-white/80">“{report.comment}”</p>}
+                  {report.messageSnapshot && (report.messageSnapshot.text || report.messageSnapshot.image) && (
+                    <div className="rounded-lg bg-black/30 border border-white/10 p-3 text-sm text-white/90">
+                      {report.messageSnapshot.text && <p className="break-words">{report.messageSnapshot.text}</p>}
+                      {report.messageSnapshot.image && (
+                        <img src={report.messageSnapshot.image} alt="Reported" className="mt-2 max-w-[200px] rounded" />
+                      )}
+                    </div>
+                  )}
+                  {!isOpen && (
+                    <p className="text-xs text-white/60">
+                      {report.action} by {report.resolvedBy?.fullName || "an admin"}
+                      {report.resolutionNote && ` — ${report.resolutionNote}`}
+                    </p>
+                  )}
+                  {isOpen && (
+                    <div className="flex flex-wrap gap-2">
+                      {report.status === "open" ? (
+                        <button
+                          type="button"
+                          onClick={() => handleTriage(report, "reviewing")}
+                          disabled={busyId === report._id}
+                          className={smallButtonClass}
+                        >
+                          Take
+                        </button>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={() => handleTriage(report, "open")}
+                          disabled={busyId === report._id}
+                          className={smallButtonClass}
+                        >
+                          Release
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => handleResolve(report, "dismiss")}
+                        disabled={busyId === report._id}
+                        className={smallButtonClass}
+                      >
+                        Dismiss
+                      </button>
+                      {report.targetType === "message" && (
+                        <button
+                          type="button"
+                          onClick={() => handleResolve(report, "deleteMessage")}
+                          disabled={busyId === report._id}
+                          className={dangerButtonClass}
+                        >
+                          Delete message
+                        </button>
+                      )}
+                      {report.reportedUserId?.role !== "admin" && !report.reportedUserId?.suspendedAt && (
+                        <button
+                          type="button"
+                          onClick={() => handleResolve(report, "suspendUser")}
+                          disabled={busyId === report._id}
+                          className={dangerButtonClass}
+                        >
+                          Suspend user
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default AdminPage;
@@ -6,6 +6,7 @@ import React, {
   useRef,
   useState,
 } from "react";
+import { Link, useSearchParams } from "react-router-dom";
 import assets from "../assets/assets";
 import { AuthContext } from "../../context/AuthContext";
 import toast from "react-hot-toast";
@@ -13,10 +14,6 @@ import toast from "react-hot-toast";
 /* Base email regex validation (keeps broad checks) */
 const EMAIL_RE = /^\S+@\S+\.\S+$/;
 
-/* Allowed domains: change this array if you want to accept other providers.
-   For your requirement, we enforce only gmail.com. */
-const ALLOWED_DOMAINS = ["gmail.com"]; // <-- change or add more domains here
-
 /* Password strength logic */
 function passwordStrength(password) {
   if (!password) return { score: 0, label: "Very Weak" };
@@ -69,30 +66,120 @@ const StrengthPips = ({ password }) => {
   );
 };
 
-/* Helper: check domain whitelist */
-function isDomainAllowed(email) {
-  if (!email || typeof email !== "string") return false;
-  const parts = email.split("@");
-  if (parts.length !== 2) return false;
-  const domain = parts[1].toLowerCase();
-  return ALLOWED_DOMAINS.includes(domain);
+/* Helper: message for an email outside the server's allowed domains ("" when fine).
+   The server enforces the same list; an empty list accepts any domain. */
+function domainError(email, allowedDomains) {
+  if (!allowedDomains?.length) return "";
+  const domain = String(email).split("@").pop().toLowerCase();
+  if (allowedDomains.includes(domain)) return "";
+  return allowedDomains.length === 1
+    ? `Use an @${allowedDomains[0]} email address.`
+    : `Use one of: ${allowedDomains.map((d) => "@" + d).join(", ")}`;
 }
 
-const LoginPage = () => {
+/* Second login step when the account has two-factor authentication on */
+const TwoFactorStep = ({ challengeToken, onBack }) => {
   const { login } = useContext(AuthContext);
+  const [code, setCode] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    setIsSubmitting(true);
+    try {
+      await login("login/2fa", { challengeToken, code: code.trim() });
+    } catch {
+      // login already showed the error; an expired challenge means starting over
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={onSubmit}
+      aria-label="Two-factor authentication form"
+      className="relative w-full max-w-md p-4 sm:p-6 md:p-8 rounded-2xl bg-[linear-gradient(135deg,rgba(255,255,255,0.03),rgba(255,255,255,0.01))] border border-white/10 backdrop-blur-xl shadow-2xl"
+    >
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="text-lg sm:text-2xl font-semibold text-white">
+            Two-factor authentication
+          </h3>
+          <p className="text-xs text-white/60 mt-1">
+            Enter the code from your authenticator app, or a recovery code.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onBack}
+          className="p-1.5 sm:p-2 rounded-md hover:bg-white/6 transition focus:outline-none"
+          aria-label="Back to login"
+        >
+          <img src={assets.arrow_icon} alt="Back" className="w-4 h-4 sm:w-5 sm:h-5" />
+        </button>
+      </div>
+
+      <div className="mb-3 border-t border-white/6" />
+
+      <label
+        htmlFor="twoFactorCode"
+        className="text-xs text-white/60 uppercase tracking-wider"
+      >
+        Code
+      </label>
+      <input
+        id="twoFactorCode"
+        name="code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        autoComplete="one-time-code"
+        autoFocus
+        placeholder="123456"
+        className="mt-2 w-full p-3 rounded-xl bg-white/5 placeholder-white/40 border border-white/10 text-white outline-none focus:ring-2 focus:ring-indigo-400/30 transition tracking-widest"
+      />
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="mt-4 w-full inline-flex items-center justify-center px-4 py-2.5 rounded-xl font-semibold text-sm text-white transition hover:scale-[1.02] disabled:opacity-70"
+        style={{
+          background: "linear-gradient(90deg,#7c3aed,#4f46e5)",
+          boxShadow: "0 6px 18px rgba(79,70,229,0.18)",
+        }}
+      >
+        {isSubmitting ? "Verifying…" : "Verify"}
+      </button>
+    </form>
+  );
+};
+
+const LoginPage = () => {
+  const { login, getSignupPolicy } = useContext(AuthContext);
+  const [searchParams] = useSearchParams();
+
+  // Signup policy from the server ({ mode, allowedDomains, inviteRequired })
+  const [policy, setPolicy] = useState(null);
+  const allowedDomains = policy?.allowedDomains;
+  const signupClosed = policy?.mode === "closed";
 
   // Form state
   const [currState, setCurrState] = useState("Sign up");
-  const isSignup = currState === "Sign up";
+  const isSignup = currState === "Sign up" && !signupClosed;
   const [fullName, setFullName] = useState("");
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [bio, setBio] = useState("");
+  // invite links look like /login?invite=CODE
+  const [inviteCode, setInviteCode] = useState(searchParams.get("invite") || "");
 
   // UI state
   const [isDataSubmitted, setIsDataSubmitted] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showSuccess, setShowSuccess] = useState(false);
+  // challenge from /login when the account asks for a second factor
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   // Validation errors
   const [emailError, setEmailError] = useState("");
@@ -115,27 +202,29 @@ const LoginPage = () => {
     return () => window.removeEventListener("resize", onResize);
   }, []);
 
-  // Real-time email validation (now enforces allowed domain)
+  useEffect(() => {
+    getSignupPolicy().then((data) => {
+      if (!data) return;
+      setPolicy(data);
+      if (data.mode === "closed") setCurrState("Login");
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Real-time email validation (domains only matter when signing up)
   useEffect(() => {
     if (emailTouched) {
       if (!email) {
         setEmailError("Please fill in this field");
       } else if (!EMAIL_RE.test(email)) {
         setEmailError("Enter a valid email address.");
-      } else if (!isDomainAllowed(email)) {
-        // friendly message that shows required domain(s)
-        if (ALLOWED_DOMAINS.length === 1) {
-          setEmailError(`Use an @${ALLOWED_DOMAINS[0]} email address.`);
-        } else {
-          setEmailError(
-            `Use one of: ${ALLOWED_DOMAINS.map((d) => "@" + d).join(", ")}`
-          );
-        }
+      } else if (isSignup && domainError(email, allowedDomains)) {
+        setEmailError(domainError(email, allowedDomains));
       } else {
         setEmailError("");
       }
     }
-  }, [email, emailTouched]);
+  }, [email, emailTouched, isSignup, allowedDomains]);
 
   // Real-time full name validation
   useEffect(() => {
@@ -201,14 +290,13 @@ const LoginPage = () => {
     } else if (!EMAIL_RE.test(email)) {
       setEmailError("Enter a valid email address.");
       ok = false;
-    } else if (!isDomainAllowed(email)) {
-      if (ALLOWED_DOMAINS.length === 1) {
-        setEmailError(`Use an @${ALLOWED_DOMAINS[0]} email address.`);
-      } else {
-        setEmailError(
-          `Use one of: ${ALLOWED_DOMAINS.map((d) => "@" + d).join(", ")}`
-        );
-      }
+    } else if (isSignup && domainError(email, allowedDomains)) {
+      setEmailError(domainError(email, allowedDomains));
+      ok = false;
+    }
+
+    if (isSignup && policy?.inviteRequired && !inviteCode.trim()) {
+      toast.error("Enter your invite code.");
       ok = false;
     }
 
@@ -232,14 +320,8 @@ const LoginPage = () => {
     } else if (!EMAIL_RE.test(email)) {
       setEmailError("Enter a valid email address.");
       ok = false;
-    } else if (!isDomainAllowed(email)) {
-      if (ALLOWED_DOMAINS.length === 1) {
-        setEmailError(`Use an @${ALLOWED_DOMAINS[0]} email address.`);
-      } else {
-        setEmailError(
-          `Use one of: ${ALLOWED_DOMAINS.map((d) => "@" + d).join(", ")}`
-        );
-      }
+    } else if (isSignup && domainError(email, allowedDomains)) {
+      setEmailError(domainError(email, allowedDomains));
       ok = false;
     }
 
@@ -289,12 +371,17 @@ const LoginPage = () => {
 
     setIsSubmitting(true);
     try {
-      await login(isSignup ? "signup" : "login", {
+      const data = await login(isSignup ? "signup" : "login", {
         fullName,
         email,
         password,
         bio,
+        inviteCode: inviteCode.trim() || undefined,
       });
+      if (data?.twoFactorRequired) {
+        setTwoFactorChallenge(data.challengeToken);
+        return;
+      }
 
       if (isSignup) {
         setShowSuccess(true);
@@ -377,7 +464,15 @@ const LoginPage = () => {
 
         {/* Auth Form */}
         <main className="col-span-12 lg:col-span-6 flex items-center justify-center px-2">
+          {twoFactorChallenge && (
+            <TwoFactorStep
+              challengeToken={twoFactorChallenge}
+              onBack={() => setTwoFactorChallenge(null)}
+            />
+          )}
+          {/* only hidden during the second step, so going back keeps what was typed */}
           <form
+            hidden={Boolean(twoFactorChallenge)}
             onSubmit={onSubmitHandler}
             autoComplete="on"
             noValidate
@@ -489,21 +584,18 @@ const LoginPage = () => {
                     onChange={(e) => {
                       setEmail(e.target.value);
                       // realtime clear if becomes valid domain+format
-                      if (EMAIL_RE.test(e.target.value) && isDomainAllowed(e.target.value)) {
+                      const domainMessage = isSignup
+                        ? domainError(e.target.value, allowedDomains)
+                        : "";
+                      if (EMAIL_RE.test(e.target.value) && !domainMessage) {
                         setEmailError("");
                       } else {
                         // keep errors until user blurs or corrects
                         if (emailTouched) {
                           if (!EMAIL_RE.test(e.target.value)) {
                             setEmailError("Enter a valid email address.");
-                          } else if (!isDomainAllowed(e.target.value)) {
-                            if (ALLOWED_DOMAINS.length === 1) {
-                              setEmailError(`Use an @${ALLOWED_DOMAINS[0]} email address.`);
-                            } else {
-                              setEmailError(
-                                `Use one of: ${ALLOWED_DOMAINS.map((d) => "@" + d).join(", ")}`
-                              );
-                            }
+                          } else {
+                            setEmailError(domainMessage);
                           }
                         }
                       }
@@ -531,6 +623,32 @@ const LoginPage = () => {
                   )}
                 </div>
 
+                {/* Invite code (invite-only registration) */}
+                {isSignup && policy?.inviteRequired && (
+                  <div className="mb-3">
+                    <label
+                      htmlFor="inviteCode"
+                      className="text-xs text-white/60 uppercase tracking-wider"
+                    >
+                      Invite code
+                    </label>
+                    <input
+                      id="inviteCode"
+                      name="inviteCode"
+                      value={inviteCode}
+                      onChange={(e) => setInviteCode(e.target.value)}
+                      type="text"
+                      autoComplete="off"
+                      placeholder="XXXX-XXXX"
+                      aria-required={true}
+                      className="mt-2 w-full p-3 rounded-xl bg-white/5 placeholder-white/40 border border-white/10 text-white outline-none focus:ring-2 focus:ring-indigo-400/30 transition uppercase tracking-widest"
+                    />
+                    <p className="mt-1 text-xs text-white/50">
+                      Registration is invite-only. Ask a member for a code.
+                    </p>
+                  </div>
+                )}
+
                 {/* Password */}
                 <div className="mb-3">
                   <label
@@ -563,9 +681,18 @@ const LoginPage = () => {
                           : "Password strength"}
                       </p>
                     </div>
-                    <p className="text-xs text-white/40">
-                      Min 8 chars recommended
-                    </p>
+                    {isSignup ? (
+                      <p className="text-xs text-white/40">
+                        Min 8 chars recommended
+                      </p>
+                    ) : (
+                      <Link
+                        to="/reset-password"
+                        className="text-xs font-medium text-indigo-300 hover:text-indigo-200"
+                      >
+                        Forgot password?
+                      </Link>
+                    )}
                   </div>
 
                   {password && (
@@ -692,6 +819,8 @@ const LoginPage = () => {
                     Login here
                   </button>
                 </p>
+              ) : signupClosed ? (
+                <p className="text-white/50">Registration is currently closed.</p>
               ) : (
                 <p>
                   New here?
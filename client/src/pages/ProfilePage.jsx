@@ -2,6 +2,12 @@ import React, { useContext, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import assets from "../assets/assets";
 import { AuthContext } from "../../context/AuthContext";
+import SessionsSection from "../components/SessionsSection";
+import ChangePasswordSection from "../components/ChangePasswordSection";
+import TwoFactorSection from "../components/TwoFactorSection";
+import InvitesSection from "../components/InvitesSection";
+import BlockedUsersSection from "../components/BlockedUsersSection";
+import AccountSection from "../components/AccountSection";
 
 const ProfilePage = () => {
   const { authUser, updateProfile } = useContext(AuthContext);
@@ -10,11 +16,12 @@ const ProfilePage = () => {
   const navigate = useNavigate();
   const [name, setName] = useState(authUser.fullName);
   const [bio, setBio] = useState(authUser.bio);
+  const [presenceVisibility, setPresenceVisibility] = useState(authUser.presenceVisibility || "everyone");
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!selectedImage) {
-      await updateProfile({ fullName: name, bio });
+      await updateProfile({ fullName: name, bio, presenceVisibility });
       navigate("/");
       return;
     }
@@ -23,13 +30,13 @@ const ProfilePage = () => {
     reader.readAsDataURL(selectedImage);
     reader.onload = async () => {
       const base64Image = reader.result;
-      await updateProfile({ profilePic: base64Image, fullName: name, bio });
+      await updateProfile({ profilePic: base64Image, fullName: name, bio, presenceVisibility });
       navigate("/");
     };
   };
 
   return (
-    <div className="min-h-screen w-full bg-gradient-to-br from-slate-900 via-indigo-950 to-black flex items-center justify-center p-4">
+    <div className="min-h-screen w-full bg-gradient-to-br from-slate-900 via-indigo-950 to-black flex flex-col items-center justify-center gap-6 p-4">
       <div className="w-full max-w-3xl rounded-2xl border border-white/10 bg-white/5 backdrop-blur-xl shadow-2xl flex items-stretch md:gap-8 overflow-hidden">
         {/* Form */}
         <form
@@ -130,6 +137,26 @@ const ProfilePage = () => {
             />
           </div>
 
+          {/* Presence privacy */}
+          <div className="flex flex-col gap-2">
+            <label
+              htmlFor="presenceVisibility"
+              className="text-xs uppercase tracking-wider text-white/60"
+            >
+              Who can see my last seen &amp; online status
+            </label>
+            <select
+              id="presenceVisibility"
+              onChange={(e) => setPresenceVisibility(e.target.value)}
+              value={presenceVisibility}
+              className="p-3 rounded-lg bg-white/5 text-white border border-white/10 outline-none focus:border-indigo-400 focus:ring-2 focus:ring-indigo-400/50 transition"
+            >
+              <option value="everyone" className="bg-slate-900">Everyone</option>
+              <option value="contacts" className="bg-slate-900">My contacts</option>
+              <option value="nobody" className="bg-slate-900">Nobody</option>
+            </select>
+          </div>
+
           {/* Save Button */}
           <button
             type="submit"
@@ -153,6 +180,13 @@ const ProfilePage = () => {
           </div>
         </div>
       </div>
+
+      <ChangePasswordSection />
+      <TwoFactorSection />
+      <SessionsSection />
+      <BlockedUsersSection />
+      <InvitesSection />
+      <AccountSection />
     </div>
   );
 };
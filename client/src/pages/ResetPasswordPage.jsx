@@ -0,0 +1,152 @@
+// src/pages/ResetPasswordPage.jsx
+import React, { useContext, useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import assets from "../assets/assets";
+import { AuthContext } from "../../context/AuthContext";
+import toast from "react-hot-toast";
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const inputClass =
+  "mt-2 w-full p-3 rounded-xl bg-white/5 placeholder-white/40 border border-white/10 text-white outline-none focus:ring-2 focus:ring-indigo-400/30 transition";
+
+/**
+ * Password recovery. Without a token it asks for the account email and mails
+ * a reset link; opened from that link (?token=...) it sets the new password.
+ */
+const ResetPasswordPage = () => {
+  const { requestPasswordReset, resetPassword } = useContext(AuthContext);
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get("token");
+
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isSent, setIsSent] = useState(false);
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) {
+      toast.error("Enter your email address.");
+      return;
+    }
+    setIsSubmitting(true);
+    const data = await requestPasswordReset(email.trim());
+    setIsSubmitting(false);
+    if (data?.success) setIsSent(true);
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      toast.error(`Use at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      toast.error("Passwords don't match.");
+      return;
+    }
+    setIsSubmitting(true);
+    const data = await resetPassword(token, password);
+    setIsSubmitting(false);
+    if (data?.success) navigate("/login");
+  };
+
+  return (
+    <div className="min-h-screen w-full bg-gradient-to-br from-slate-900 via-indigo-950 to-black flex items-center justify-center p-4">
+      <form
+        onSubmit={token ? handleReset : handleRequest}
+        noValidate
+        className="w-full max-w-md p-6 sm:p-8 rounded-2xl bg-[linear-gradient(135deg,rgba(255,255,255,0.03),rgba(255,255,255,0.01))] border border-white/10 backdrop-blur-xl shadow-2xl flex flex-col gap-4"
+      >
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg sm:text-2xl font-semibold text-white">
+              {token ? "Choose a new password" : "Forgot password?"}
+            </h3>
+            <p className="text-xs text-white/60 mt-1">
+              {token
+                ? "Pick a password you don't use anywhere else."
+                : "We'll email you a link to reset it."}
+            </p>
+          </div>
+          <img src={assets.logo_icon} alt="brand" className="w-10 h-10 opacity-70" />
+        </div>
+
+        {token ? (
+          <>
+            <div>
+              <label htmlFor="password" className="text-xs text-white/60 uppercase tracking-wider">
+                New password
+              </label>
+              <input
+                id="password"
+                type="password"
+                autoComplete="new-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="••••••••"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="confirmPassword" className="text-xs text-white/60 uppercase tracking-wider">
+                Confirm password
+              </label>
+              <input
+                id="confirmPassword"
+                type="password"
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                placeholder="••••••••"
+                className={inputClass}
+              />
+            </div>
+          </>
+        ) : isSent ? (
+          <p className="text-sm text-white/80">
+            Check the inbox of <span className="font-medium text-white">{email}</span> for a reset link.
+            It expires in an hour.
+          </p>
+        ) : (
+          <div>
+            <label htmlFor="email" className="text-xs text-white/60 uppercase tracking-wider">
+              Email
+            </label>
+            <input
+              id="email"
+              type="email"
+              autoComplete="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="you@example.com"
+              className={inputClass}
+            />
+          </div>
+        )}
+
+        {!isSent && (
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className={`inline-flex items-center justify-center px-4 py-2.5 rounded-xl font-semibold text-sm text-white transition ${
+              isSubmitting ? "opacity-80 cursor-wait" : "hover:scale-[1.02]"
+            }`}
+            style={{ background: "linear-gradient(90deg,#7c3aed,#4f46e5)" }}
+          >
+            {isSubmitting ? "Please wait…" : token ? "Set new password" : "Send reset link"}
+          </button>
+        )}
+
+        <Link to="/login" className="text-center text-xs sm:text-sm font-medium text-indigo-300 hover:text-indigo-200">
+          Back to login
+        </Link>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
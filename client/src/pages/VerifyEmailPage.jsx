@@ -0,0 +1,101 @@
+// src/pages/VerifyEmailPage.jsx
+import React, { useContext, useEffect, useRef, useState } from "react";
+import { Navigate, useNavigate, useSearchParams } from "react-router-dom";
+import assets from "../assets/assets";
+import { AuthContext } from "../../context/AuthContext";
+
+/**
+ * Email verification. Opened from the verification mail (?token=...) it confirms
+ * the address; otherwise it is the "check your inbox" screen shown to signed-in
+ * users whose address isn't verified yet, with a resend button.
+ */
+const VerifyEmailPage = () => {
+  const { authUser, verifyEmail, resendVerification, checkAuth, logout } = useContext(AuthContext);
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get("token");
+
+  const [status, setStatus] = useState(token ? "verifying" : "pending");
+  const [isResending, setIsResending] = useState(false);
+  // tokens are single use, never send the same one twice
+  const attempted = useRef(false);
+
+  useEffect(() => {
+    if (!token || attempted.current) return;
+    attempted.current = true;
+    verifyEmail(token).then((data) => {
+      if (data?.success) navigate(authUser ? "/" : "/login", { replace: true });
+      else setStatus("failed");
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  if (!token && !authUser) return <Navigate to="/login" replace />;
+  if (!token && authUser.emailVerified !== false) return <Navigate to="/" replace />;
+
+  const handleResend = async () => {
+    setIsResending(true);
+    await resendVerification();
+    setIsResending(false);
+  };
+
+  return (
+    <div className="min-h-screen w-full bg-gradient-to-br from-slate-900 via-indigo-950 to-black flex items-center justify-center p-4">
+      <div className="w-full max-w-md p-6 sm:p-8 rounded-2xl bg-[linear-gradient(135deg,rgba(255,255,255,0.03),rgba(255,255,255,0.01))] border border-white/10 backdrop-blur-xl shadow-2xl flex flex-col gap-4 text-center">
+        <img src={assets.logo_icon} alt="brand" className="w-12 h-12 mx-auto opacity-80" />
+
+        {status === "verifying" && <p className="text-white/80">Verifying your email address…</p>}
+
+        {status === "failed" && (
+          <>
+            <h3 className="text-lg sm:text-2xl font-semibold text-white">Link expired</h3>
+            <p className="text-sm text-white/70">
+              This verification link is invalid or has already been used.
+              {authUser ? " Ask for a new one below." : " Log in to ask for a new one."}
+            </p>
+          </>
+        )}
+
+        {status === "pending" && (
+          <>
+            <h3 className="text-lg sm:text-2xl font-semibold text-white">Check your inbox</h3>
+            <p className="text-sm text-white/70">
+              We sent a verification link to{" "}
+              <span className="font-medium text-white">{authUser.email}</span>. Open it to start chatting.
+            </p>
+          </>
+        )}
+
+        {authUser && status !== "verifying" && (
+          <div className="flex flex-col gap-2 mt-2">
+            <button
+              type="button"
+              onClick={handleResend}
+              disabled={isResending}
+              className="inline-flex items-center justify-center px-4 py-2.5 rounded-xl font-semibold text-sm text-white transition hover:scale-[1.02] disabled:opacity-70"
+              style={{ background: "linear-gradient(90deg,#7c3aed,#4f46e5)" }}
+            >
+              {isResending ? "Sending…" : "Resend verification email"}
+            </button>
+            <button
+              type="button"
+              onClick={checkAuth}
+              className="px-4 py-2 rounded-xl text-sm text-white/80 border border-white/10 hover:bg-white/5 transition"
+            >
+              I've verified my email
+            </button>
+            <button
+              type="button"
+              onClick={() => logout()}
+              className="text-xs text-indigo-300 hover:text-indigo-200 mt-1"
+            >
+              Use a different account
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -0,0 +1,62 @@
+// server/controllers/accountController.js
+import bcrypt from "bcryptjs";
+import User from "../models/User.js";
+import { collectAccountData, deleteUserAccount } from "../lib/accounts.js";
+import { createZip } from "../lib/zip.js";
+
+const ZIP_README = `Chattrix data export
+
+profile.json        your account, without the password
+sessions.json       devices you signed in on
+invites.json        invite codes you created
+reports.json        reports you filed
+conversations.json  chats and groups you are a member of
+messages.json       every message you sent or received
+images.json         URLs of your profile picture and of images in your messages
+files.json          names and URLs of the files attached to your messages
+`;
+
+// download everything stored about the logged in user (?format=json, default, or ?format=zip)
+export const exportAccountData = async (req, res) => {
+  try {
+    const data = await collectAccountData(req.user._id);
+    const baseName = `chattrix-export-${new Date().toISOString().slice(0, 10)}`;
+
+    if (req.query.format === "zip") {
+      const { exportedAt, ...sections } = data;
+      const files = [
+        { name: "README.txt", content: `${ZIP_README}\nExported at ${exportedAt}\n` },
+        ...Object.entries(sections).map(([name, value]) => ({
+          name: `${name}.json`,
+          content: JSON.stringify(value, null, 2),
+        })),
+      ];
+      res.attachment(`${baseName}.zip`);
+      return res.type("application/zip").send(createZip(files));
+    }
+
+    res.attachment(`${baseName}.json`);
+    res.type("application/json").send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error("exportAccountData error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// delete the logged in user's account for good; needs the password
+export const deleteAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const isPasswordCorrect = await bcrypt.compare(req.body?.password || "", user.password);
+    if (!isPasswordCorrect) {
+      return res.status(400).json({ success: false, message: "Password is incorrect" });
+    }
+
+    await deleteUserAccount(user);
+
+    res.json({ success: true, message: "Your account has been deleted" });
+  } catch (error) {
+    console.error("deleteAccount error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
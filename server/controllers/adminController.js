@@ -0,0 +1,160 @@
+// server/controllers/adminController.js
+import Message from "../models/Message.js";
+import Report from "../models/Report.js";
+import User from "../models/User.js";
+import { userSocketMap } from "../server.js";
+import { sendPasswordResetEmail, suspendUser } from "../lib/accounts.js";
+import { revokeSessions } from "../lib/sessions.js";
+
+const ADMIN_USER_FIELDS = "fullName email profilePic role emailVerified suspendedAt +suspensionReason lastSeen createdAt";
+const USERS_PAGE_SIZE = 20;
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_DAYS = 365;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Load the user an admin action is about; admins can't act on other admins (or themselves) this way
+const findManagedUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ success: false, message: "User not found" });
+    return null;
+  }
+  if (user.role === "admin") {
+    res.status(400).json({ success: false, message: "This can't be done to an admin" });
+    return null;
+  }
+  return user;
+};
+
+// counts for the dashboard, with messages per day over the last ?days (default 30)
+export const getStats = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || DEFAULT_STATS_DAYS, 1), MAX_STATS_DAYS);
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+
+    const [registeredUsers, suspendedUsers, openReports, messagesPerDay] = await Promise.all([
+      User.estimatedDocumentCount(),
+      User.countDocuments({ suspendedAt: { $ne: null } }),
+      Report.countDocuments({ status: { $in: ["open", "reviewing"] } }),
+      Message.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }, count: { $sum: 1 } } },
+        { $project: { _id: 0, date: "$_id", count: 1 } },
+        { $sort: { date: 1 } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      stats: {
+        registeredUsers,
+        suspendedUsers,
+        onlineUsers: Object.keys(userSocketMap).length,
+        openReports,
+        messagesPerDay,
+      },
+    });
+  } catch (error) {
+    console.error("getStats error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// search users by name or email (?q=), newest first, ?page from 1
+export const searchUsers = async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const filter = q
+      ? { $or: [{ fullName: new RegExp(escapeRegex(q), "i") }, { email: new RegExp(escapeRegex(q), "i") }] }
+      : {};
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(ADMIN_USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * USERS_PAGE_SIZE)
+        .limit(USERS_PAGE_SIZE)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      users: users.map((user) => ({ ...user, online: Boolean(userSocketMap[user._id.toString()]) })),
+      total,
+      hasMore: page * USERS_PAGE_SIZE < total,
+    });
+  } catch (error) {
+    console.error("searchUsers error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// suspend a user, signing them out everywhere
+export const suspendAccount = async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    if (user.suspendedAt) {
+      return res.status(409).json({ success: false, message: "The account is already suspended" });
+    }
+
+    await suspendUser(user._id, req.body?.reason?.trim() || "Suspended by an admin");
+
+    res.json({ success: true, message: `${user.fullName} has been suspended` });
+  } catch (error) {
+    console.error("suspendAccount error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// lift a suspension
+export const unsuspendAccount = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, suspendedAt: { $ne: null } },
+      { $unset: { suspendedAt: 1, suspensionReason: 1 } }
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, message: "No suspended account found" });
+    }
+    res.json({ success: true, message: `${user.fullName} can sign in again` });
+  } catch (error) {
+    console.error("unsuspendAccount error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// mail the user a password reset link
+export const sendPasswordReset = async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    await sendPasswordResetEmail(user, req);
+
+    res.json({ success: true, message: `A reset link was sent to ${user.email}` });
+  } catch (error) {
+    console.error("sendPasswordReset error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// sign the user out of every device
+export const forceLogout = async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    const revoked = await revokeSessions({ userId: user._id });
+
+    res.json({ success: true, revoked, message: `Signed ${user.fullName} out of ${revoked} session(s)` });
+  } catch (error) {
+    console.error("forceLogout error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
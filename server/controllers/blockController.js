@@ -0,0 +1,61 @@
+// server/controllers/blockController.js
+import User from "../models/User.js";
+import { emitToUser } from "../lib/conversations.js";
+import { broadcastOnlineUsers } from "../lib/presence.js";
+
+const BLOCKED_USER_FIELDS = "fullName email profilePic";
+
+// the other devices of the user follow along, and presence is re-sent without (or with) the pair
+const afterBlockChange = (userId, blockedUserId, blocked) => {
+  emitToUser(userId, "blockUpdated", { userId: blockedUserId, blocked });
+  broadcastOnlineUsers().catch((error) => console.error("broadcastOnlineUsers error:", error));
+};
+
+// users the logged in user blocked
+export const getBlockedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select("+blockedUsers")
+      .populate("blockedUsers", BLOCKED_USER_FIELDS);
+    res.json({ success: true, blockedUsers: user.blockedUsers });
+  } catch (error) {
+    console.error("getBlockedUsers error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// block a user: no messages between the two and no presence either way
+export const blockUser = async (req, res) => {
+  try {
+    const blockedUserId = req.params.id;
+    if (req.user._id.toString() === blockedUserId) {
+      return res.status(400).json({ success: false, message: "You can't block yourself" });
+    }
+    if (!(await User.exists({ _id: blockedUserId }))) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { blockedUsers: blockedUserId } });
+    afterBlockChange(req.user._id, blockedUserId, true);
+
+    res.json({ success: true, message: "User blocked" });
+  } catch (error) {
+    console.error("blockUser error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// unblock a user
+export const unblockUser = async (req, res) => {
+  try {
+    const blockedUserId = req.params.id;
+
+    await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: blockedUserId } });
+    afterBlockChange(req.user._id, blockedUserId, false);
+
+    res.json({ success: true, message: "User unblocked" });
+  } catch (error) {
+    console.error("unblockUser error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,278 @@
+import mongoose from "mongoose";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import { uploadImage } from "../lib/storage.js";
+import { blockPairsOf } from "../lib/blocks.js";
+import {
+  MEMBER_FIELDS,
+  broadcastGroup,
+  joinConversationRoom,
+  removeFromGroup,
+} from "../lib/conversations.js";
+
+// Find a group by id, only if the given user is one of its members
+const findGroupForMember = (conversationId, userId) =>
+  Conversation.findOne({ _id: conversationId, type: "group", members: userId });
+
+const isAdmin = (group, userId) => group.admins.some((id) => id.equals(userId));
+
+const isMember = (group, userId) => group.members.some((id) => id.equals(userId));
+
+// Whether a members list from the request body is an array of user ids
+const isMemberIdList = (members) =>
+  Array.isArray(members) && members.every((id) => typeof id === "string" && mongoose.isValidObjectId(id));
+
+// Keep only ids of existing users, without duplicates
+const existingUserIds = async (ids = []) => {
+  const users = await User.find({ _id: { $in: ids } }).select("_id");
+  return users.map((user) => user._id);
+};
+
+// Whether the user and any of the given users blocked one another, either way
+const hasBlockWith = async (userId, userIds) => {
+  const pairs = await blockPairsOf([userId]);
+  return userIds.some((id) => pairs.has(`${userId}:${id}`) || pairs.has(`${id}:${userId}`));
+};
+
+// list the groups the logged in user belongs to, with their unread message counts
+export const getConversations = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const conversations = await Conversation.find({ type: "group", members: userId })
+      .populate("members", MEMBER_FIELDS)
+      .sort({ updatedAt: -1 });
+
+    const unseenMessages = {};
+    await Promise.all(
+      conversations.map(async (conversation) => {
+        const count = await Message.countDocuments({
+          conversationId: conversation._id,
+          receipts: { $elemMatch: { userId, readAt: null } },
+        });
+        if (count > 0) unseenMessages[conversation._id] = count;
+      })
+    );
+
+    res.json({ success: true, conversations, unseenMessages });
+  } catch (error) {
+    console.error("getConversations error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// create a new group with the logged in user as its first admin
+export const createGroup = async (req, res) => {
+  try {
+    const { name, members = [], avatar } = req.body;
+    const userId = req.user._id;
+
+    if (!name?.trim()) {
+      return res.status(400).json({ success: false, message: "Group name is required" });
+    }
+    if (!isMemberIdList(members)) {
+      return res.status(400).json({ success: false, message: "Invalid members" });
+    }
+
+    const memberIds = await existingUserIds(members.filter((id) => id !== userId.toString()));
+    if (memberIds.length === 0) {
+      return res.status(400).json({ success: false, message: "Add at least one member" });
+    }
+    if (await hasBlockWith(userId, memberIds)) {
+      return res.status(403).json({ success: false, message: "You can't add a user you blocked or who blocked you" });
+    }
+
+    const avatarUrl = avatar ? await uploadImage(avatar, "groups") : "";
+
+    const group = await Conversation.create({
+      type: "group",
+      name: name.trim(),
+      avatar: avatarUrl,
+      members: [userId, ...memberIds],
+      admins: [userId],
+      createdBy: userId,
+    });
+
+    joinConversationRoom(group._id, group.members);
+    await broadcastGroup(group);
+
+    res.status(201).json({ success: true, conversation: group });
+  } catch (error) {
+    console.error("createGroup error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// rename a group or change its avatar (admins only)
+export const updateGroup = async (req, res) => {
+  try {
+    const { name, avatar } = req.body;
+    const group = await findGroupForMember(req.params.id, req.user._id);
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: "Group not found" });
+    }
+    if (!isAdmin(group, req.user._id)) {
+      return res.status(403).json({ success: false, message: "Only admins can edit the group" });
+    }
+
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return res.status(400).json({ success: false, message: "Group name is required" });
+      }
+      group.name = name.trim();
+    }
+    if (avatar) {
+      group.avatar = await uploadImage(avatar, "groups");
+    }
+
+    await group.save();
+    await broadcastGroup(group);
+
+    res.json({ success: true, conversation: group });
+  } catch (error) {
+    console.error("updateGroup error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// add members to a group (admins only)
+export const addMembers = async (req, res) => {
+  try {
+    const { members = [] } = req.body;
+    const group = await findGroupForMember(req.params.id, req.user._id);
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: "Group not found" });
+    }
+    if (!isAdmin(group, req.user._id)) {
+      return res.status(403).json({ success: false, message: "Only admins can add members" });
+    }
+    if (!isMemberIdList(members)) {
+      return res.status(400).json({ success: false, message: "Invalid members" });
+    }
+
+    const newMemberIds = (await existingUserIds(members)).filter((id) => !isMember(group, id));
+    if (newMemberIds.length === 0) {
+      return res.status(400).json({ success: false, message: "No new members to add" });
+    }
+    if (await hasBlockWith(req.user._id, newMemberIds)) {
+      return res.status(403).json({ success: false, message: "You can't add a user you blocked or who blocked you" });
+    }
+
+    group.members.push(...newMemberIds);
+    await group.save();
+
+    joinConversationRoom(group._id, newMemberIds);
+    await broadcastGroup(group);
+
+    res.json({ success: true, conversation: group });
+  } catch (error) {
+    console.error("addMembers error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// remove a member from a group (admins only)
+export const removeMember = async (req, res) => {
+  try {
+    const { id, userId: memberId } = req.params;
+    const group = await findGroupForMember(id, req.user._id);
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: "Group not found" });
+    }
+    if (!isAdmin(group, req.user._id)) {
+      return res.status(403).json({ success: false, message: "Only admins can remove members" });
+    }
+    if (req.user._id.equals(memberId)) {
+      return res.status(400).json({ success: false, message: "Use leave to exit the group" });
+    }
+    if (!isMember(group, memberId)) {
+      return res.status(404).json({ success: false, message: "User is not a member" });
+    }
+
+    await removeFromGroup(group, memberId);
+
+    res.json({ success: true, conversation: group });
+  } catch (error) {
+    console.error("removeMember error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// promote a member to admin (admins only)
+export const addAdmin = async (req, res) => {
+  try {
+    const { id, userId: memberId } = req.params;
+    const group = await findGroupForMember(id, req.user._id);
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: "Group not found" });
+    }
+    if (!isAdmin(group, req.user._id)) {
+      return res.status(403).json({ success: false, message: "Only admins can promote members" });
+    }
+    if (!isMember(group, memberId)) {
+      return res.status(404).json({ success: false, message: "User is not a member" });
+    }
+
+    group.admins.addToSet(memberId);
+    await group.save();
+    await broadcastGroup(group);
+
+    res.json({ success: true, conversation: group });
+  } catch (error) {
+    console.error("addAdmin error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// demote an admin back to a regular member (admins only, a group keeps at least one admin)
+export const removeAdmin = async (req, res) => {
+  try {
+    const { id, userId: memberId } = req.params;
+    const group = await findGroupForMember(id, req.user._id);
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: "Group not found" });
+    }
+    if (!isAdmin(group, req.user._id)) {
+      return res.status(403).json({ success: false, message: "Only admins can demote admins" });
+    }
+    if (!isAdmin(group, memberId)) {
+      return res.status(404).json({ success: false, message: "User is not an admin" });
+    }
+    if (group.admins.length === 1) {
+      return res.status(400).json({ success: false, message: "A group needs at least one admin" });
+    }
+
+    group.admins.pull(memberId);
+    await group.save();
+    await broadcastGroup(group);
+
+    res.json({ success: true, conversation: group });
+  } catch (error) {
+    console.error("removeAdmin error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// leave a group; the oldest remaining member is promoted if no admin is left
+export const leaveGroup = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const group = await findGroupForMember(req.params.id, userId);
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: "Group not found" });
+    }
+
+    await removeFromGroup(group, userId);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("leaveGroup error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,81 @@
+// server/controllers/inviteController.js
+import InviteCode from "../models/InviteCode.js";
+import { generateInviteCode, getSignupPolicy } from "../lib/signupPolicy.js";
+
+// a multi-use invite can let at most this many people in
+const MAX_INVITE_USES = 50;
+const MAX_ACTIVE_INVITES = 20;
+const DEFAULT_INVITE_TTL_DAYS = 7;
+const MAX_INVITE_TTL_DAYS = 30;
+
+// invites of the current user that can still be used
+const activeInvitesFilter = (userId) => ({
+  createdBy: userId,
+  revokedAt: null,
+  $and: [
+    { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+    { $expr: { $lt: ["$uses", "$maxUses"] } },
+  ],
+});
+
+// invite codes the current user created, newest first
+export const getInvites = async (req, res) => {
+  try {
+    const invites = await InviteCode.find({ createdBy: req.user._id, revokedAt: null }).sort({ createdAt: -1 });
+    res.json({ success: true, invites });
+  } catch (error) {
+    console.error("getInvites error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// create an invite code; maxUses 1 (default) is single-use
+export const createInvite = async (req, res) => {
+  try {
+    if (getSignupPolicy().mode !== "invite") {
+      return res.status(400).json({ success: false, message: "Registration doesn't use invite codes" });
+    }
+
+    const maxUses = Number(req.body?.maxUses ?? 1);
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES) {
+      return res.status(400).json({ success: false, message: `An invite can be used 1 to ${MAX_INVITE_USES} times` });
+    }
+    const ttlDays = Number(req.body?.expiresInDays ?? DEFAULT_INVITE_TTL_DAYS);
+    if (!(ttlDays > 0 && ttlDays <= MAX_INVITE_TTL_DAYS)) {
+      return res.status(400).json({ success: false, message: `An invite can last up to ${MAX_INVITE_TTL_DAYS} days` });
+    }
+
+    if ((await InviteCode.countDocuments(activeInvitesFilter(req.user._id))) >= MAX_ACTIVE_INVITES) {
+      return res.status(429).json({ success: false, message: "Too many open invites, revoke some first" });
+    }
+
+    const invite = await InviteCode.create({
+      code: generateInviteCode(),
+      createdBy: req.user._id,
+      maxUses,
+      expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    });
+
+    res.status(201).json({ success: true, invite, message: "Invite created" });
+  } catch (error) {
+    console.error("createInvite error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// revoke one of the current user's invite codes
+export const revokeInvite = async (req, res) => {
+  try {
+    const invite = await InviteCode.findOneAndUpdate(
+      { _id: req.params.id, createdBy: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (!invite) {
+      return res.status(404).json({ success: false, message: "Invite not found" });
+    }
+    res.json({ success: true, message: "Invite revoked" });
+  } catch (error) {
+    console.error("revokeInvite error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -1,96 +1,372 @@
+import mongoose from "mongoose";
 import Message from "../models/Message.js";
 import User from "../models/User.js";
-import cloudinary from "../lib/cloudinary.js";
-import { io,userSocketMap} from "../server.js";
+import Conversation from "../models/Conversation.js";
+import { claimUploads, releaseUploads } from "../lib/uploads.js";
+import {
+emitToConversation,
+emitToConversationWithAck,
+findOrCreateDirectConversation,
+} from "../lib/conversations.js";
+import { markReceipts } from "../lib/receipts.js";
+import { isBlockedBetween } from "../lib/blocks.js";
+import { REPLY_FIELDS, deleteMessageForEveryone, findMessageForMember } from "../lib/messages.js";
+import { presenceFilter } from "../lib/presence.js";
 
-// Get all users except the logged in user
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+// a single emoji can be several code points (skin tones, ZWJ sequences)
+const MAX_EMOJI_LENGTH = 16;
 
+// Get all users except the logged in user
 export const getUsersForSidebar = async (req, res)=>{
 try {
 const userId = req.user._id;
-const filteredUsers = await User.find({_id: {$ne: userId}}).select
-("-password");
-
-// Count number of messages not seen
+const filteredUsers = await User.find({ _id: { $ne: userId } }).select("-password");
 
+// Count number of messages not read yet
 const unseenMessages = {}
 const promises = filteredUsers.map(async (user)=>{
-const messages = await Message.find({senderId: user._id, receiverId:
-userId, seen: false })
-if(messages.length > 0) {
-unseenMessages [user._id] = messages.length;
+const count = await Message.countDocuments({
+senderId: user._id,
+receiverId: userId,
+receipts: { $elemMatch: { userId, readAt: null } },
+});
+if (count > 0) {
+unseenMessages[user._id] = count;
 }
-})
+});
 await Promise.all(promises);
-res.json({success: true, users: filteredUsers, unseenMessages})
+
+// users the logged in user blocked are flagged so the chat can offer to unblock them
+const { blockedUsers = [] } = await User.findById(userId).select("+blockedUsers");
+const blockedIds = new Set(blockedUsers.map((id) => id.toString()));
+
+// last seen is only shared as far as each user's privacy setting allows
+const canSeePresence = await presenceFilter(filteredUsers);
+const users = filteredUsers.map((user) => {
+const { presenceVisibility, lastSeen, ...rest } = user.toObject();
+const visible = canSeePresence(userId, user._id) ? { ...rest, lastSeen } : rest;
+return { ...visible, blocked: blockedIds.has(user._id.toString()) };
+});
+
+res.json({ success: true, users, unseenMessages });
 } catch (error) {
 console.log(error.message);
 res.json({success: false, message: error.message})
 }
+};
+
+// Load one page of messages older than the `before` message id (newest page when omitted).
+// Returns the page in chronological order and whether older messages remain.
+const findMessagePage = async (filter, { before, limit }) => {
+const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+const query = { $and: [filter] };
+if (before) {
+const cursor = await Message.findById(before).select("createdAt");
+if (!cursor) throw new Error("Invalid cursor");
+query.$and.push({
+$or: [
+{ createdAt: { $lt: cursor.createdAt } },
+{ createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+],
+});
 }
 
-// Get all messages for selected user
+const page = await Message.find(query)
+.sort({ createdAt: -1, _id: -1 })
+.limit(pageSize + 1)
+.populate("replyTo", REPLY_FIELDS);
+const hasMore = page.length > pageSize;
+return { messages: page.slice(0, pageSize).reverse(), hasMore };
+};
+
+// Get a page of messages for selected user (?before=<messageId>&limit=<n>)
 export const getMessages = async (req, res) =>{
 try {
 const { id: selectedUserId } = req.params;
 const myId = req.user._id;
-const messages = await Message.find({
+const { messages, hasMore } = await findMessagePage(
+{
 $or: [
 {senderId: myId, receiverId: selectedUserId},
 {senderId: selectedUserId, receiverId: myId},
-]
-})
-await Message.updateMany ({senderId: selectedUserId, receiverId: myId},
-{seen: true});
-res.json({success: true, messages})
+],
+deletedFor: { $ne: myId },
+},
+req.query
+);
+if (!req.query.before) {
+await markReceipts({ senderId: selectedUserId, receiverId: myId }, myId, { read: true });
+}
+res.json({ success: true, messages, hasMore });
 } catch (error) {
 console.log(error.message);
 res.json({success: false, message: error.message})
 }
+};
+
+// Get a page of messages for a group the logged in user belongs to
+export const getGroupMessages = async (req, res) => {
+try {
+const { id: conversationId } = req.params;
+const group = await Conversation.findOne({ _id: conversationId, type: "group", members: req.user._id });
+if (!group) {
+return res.status(404).json({ success: false, message: "Group not found" });
 }
 
-// api to mark message as seen using message id
+const { messages, hasMore } = await findMessagePage(
+{ conversationId: group._id, deletedFor: { $ne: req.user._id } },
+req.query
+);
+if (!req.query.before) {
+await markReceipts({ conversationId: group._id }, req.user._id, { read: true });
+}
+res.json({ success: true, messages, hasMore });
+} catch (error) {
+console.log(error.message);
+res.json({success: false, message: error.message})
+}
+};
+
+// api to mark a message addressed to the logged in user as read using message id
 export const markMessageAsSeen = async (req, res)=>{
 try {
 const {id} = req.params;
-await Message.findByIdAndUpdate(id, {seen: true})
+await markReceipts({ _id: id }, req.user._id, { read: true });
 res.json({success: true})
 } catch (error) {
 console.log(error.message);
 res.json({success: false, message: error.message})
 }
+};
+
+// Store a message with the uploads it sends (an image and/or attachments, by upload id),
+// a snapshot of the message it replies to and an empty receipt for each recipient
+const createMessage = async ({ conversationId, senderId, receiverId, recipients, text, imageId, attachmentIds, replyTo }) => {
+if (replyTo) {
+const quoted = await findMessageForMember(replyTo, senderId);
+if (!quoted || !quoted.conversation._id.equals(conversationId)) {
+throw new Error("Replied message not found in this conversation");
+}
 }
 
+if (!text?.trim() && !imageId && !attachmentIds?.length) {
+throw new Error("Message is empty");
+}
+const messageId = new mongoose.Types.ObjectId();
+const { image, imageMeta, attachments } = await claimUploads({ messageId, ownerId: senderId, imageId, attachmentIds });
 
+let newMessage;
+try {
+newMessage = await Message.create({
+_id: messageId,
+conversationId,
+senderId,
+receiverId,
+text,
+image,
+imageMeta,
+attachments,
+replyTo,
+receipts: recipients.map((userId) => ({ userId })),
+});
+} catch (error) {
+await releaseUploads(messageId);
+throw error;
+}
+return newMessage.populate("replyTo", REPLY_FIELDS);
+};
+
+// Fan a new message out to every device in its conversation, the sender's other devices included;
+// each recipient socket that acknowledges it marks the message delivered for its user
+const deliverMessage = (message) => {
+emitToConversationWithAck(message.conversationId, "newMessage", message, {
+senderId: message.senderId,
+onAck: (userId) =>
+markReceipts({ _id: message._id }, userId).catch((error) => console.log(error.message)),
+}).catch((error) => console.log(error.message));
+};
 
 // Send message to selected user
 export const sendMessage = async (req, res) =>{
 try {
-const {text, image} = req.body;
+const { text, imageId, attachmentIds, replyTo } = req.body;
 const receiverId = req.params.id;
 const senderId = req.user._id;
-let imageUrl;
-if(image) {
-const uploadResponse = await cloudinary.uploader.upload (image)
-imageUrl = uploadResponse.secure_url;
+
+if (!mongoose.isValidObjectId(receiverId) || !(await User.exists({ _id: receiverId }))) {
+return res.status(404).json({ success: false, message: "User not found" });
+}
+
+if (await isBlockedBetween(senderId, receiverId)) {
+return res.status(403).json({ success: false, message: "You can't message this user" });
 }
-const newMessage = await Message.create({
+
+const conversation = await findOrCreateDirectConversation(senderId, receiverId);
+const newMessage = await createMessage({
+conversationId: conversation._id,
 senderId,
 receiverId,
+recipients: [receiverId],
+text,
+imageId,
+attachmentIds,
+replyTo,
+});
+
+deliverMessage(newMessage);
+
+res.json({ success: true, newMessage });
+} catch (error) {
+console.log(error.message);
+res.json({success: false, message: error.message})
+}
+};
+
+// Send message to a group the logged in user belongs to
+export const sendGroupMessage = async (req, res) => {
+try {
+const { text, imageId, attachmentIds, replyTo } = req.body;
+const { id: conversationId } = req.params;
+const senderId = req.user._id;
+
+const group = await Conversation.findOne({ _id: conversationId, type: "group", members: senderId });
+if (!group) {
+return res.status(404).json({ success: false, message: "Group not found" });
+}
+
+const newMessage = await createMessage({
+conversationId: group._id,
+senderId,
+recipients: group.members.filter((id) => !id.equals(senderId)),
 text,
-image: imageUrl
-})
+imageId,
+attachmentIds,
+replyTo,
+});
+
+deliverMessage(newMessage);
+
+res.json({ success: true, newMessage });
+} catch (error) {
+console.log(error.message);
+res.json({success: false, message: error.message})
+}
+};
+
+// Edit the text of a message sent by the logged in user, keeping the previous versions
+export const editMessage = async (req, res) => {
+try {
+const { text } = req.body;
+const userId = req.user._id;
+
+if (!text?.trim()) {
+return res.status(400).json({ success: false, message: "Message text is required" });
+}
+
+const found = await findMessageForMember(req.params.messageId, userId);
+if (!found) {
+return res.status(404).json({ success: false, message: "Message not found" });
+}
+
+const { message, conversation } = found;
+if (!message.senderId.equals(userId)) {
+return res.status(403).json({ success: false, message: "You can only edit your own messages" });
+}
+if (message.deletedForEveryone) {
+return res.status(400).json({ success: false, message: "Message was deleted" });
+}
+if (!message.text) {
+return res.status(400).json({ success: false, message: "Only text messages can be edited" });
+}
+if (message.text === text.trim()) {
+await message.populate("replyTo", REPLY_FIELDS);
+return res.json({ success: true, updatedMessage: message });
+}
+
+message.editHistory.push({ text: message.text, editedAt: message.editedAt || message.createdAt });
+message.text = text.trim();
+message.editedAt = new Date();
+await message.save();
+await message.populate("replyTo", REPLY_FIELDS);
+
+emitToConversation(conversation._id, "messageUpdated", message);
+
+res.json({ success: true, updatedMessage: message });
+} catch (error) {
+console.log(error.message);
+res.json({success: false, message: error.message})
+}
+};
+
+// Delete a message for the logged in user only (?for=me, default) or for everyone (?for=everyone, sender only)
+export const deleteMessage = async (req, res) => {
+try {
+const forEveryone = req.query.for === "everyone";
+const userId = req.user._id;
+
+const found = await findMessageForMember(req.params.messageId, userId);
+if (!found) {
+return res.status(404).json({ success: false, message: "Message not found" });
+}
+
+const { message, conversation } = found;
+
+if (!forEveryone) {
+message.deletedFor.addToSet(userId);
+await message.save();
+return res.json({ success: true });
+}
+
+if (!message.senderId.equals(userId)) {
+return res.status(403).json({ success: false, message: "You can only delete your own messages for everyone" });
+}
+
+await deleteMessageForEveryone(message, conversation._id);
+
+res.json({ success: true, updatedMessage: message });
+} catch (error) {
+console.log(error.message);
+res.json({success: false, message: error.message})
+}
+};
+
+// Add the logged in user's reaction to a message, or remove it if it is already there
+export const toggleReaction = async (req, res) => {
+try {
+const emoji = req.body.emoji?.trim();
+const userId = req.user._id;
+
+if (!emoji || emoji.length > MAX_EMOJI_LENGTH) {
+return res.status(400).json({ success: false, message: "A single emoji is required" });
+}
+
+const found = await findMessageForMember(req.params.messageId, userId);
+if (!found) {
+return res.status(404).json({ success: false, message: "Message not found" });
+}
+
+const { message, conversation } = found;
+if (message.deletedForEveryone) {
+return res.status(400).json({ success: false, message: "Message was deleted" });
+}
 
-// Emit the new message to the receiver's socket
-const receiverSocketId = userSocketMap[receiverId];
-if (receiverSocketId) {
-io.to(receiverSocketId).emit ("newMessage", newMessage)
+const existing = message.reactions.find((r) => r.userId.equals(userId) && r.emoji === emoji);
+if (existing) {
+message.reactions = message.reactions.filter((r) => r !== existing);
+} else {
+message.reactions.push({ userId, emoji });
 }
+await message.save();
 
+const payload = { messageId: message._id, conversationId: conversation._id, reactions: message.reactions };
+emitToConversation(conversation._id, "messageReaction", payload);
 
-res.json({success: true, newMessage}); I
+res.json({ success: true, ...payload });
 } catch (error) {
 console.log(error.message);
 res.json({success: false, message: error.message})
 }
-}
\ No newline at end of file
+};
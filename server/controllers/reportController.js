@@ -0,0 +1,185 @@
+// server/controllers/reportController.js
+import Message from "../models/Message.js";
+import Report, { REPORT_REASONS } from "../models/Report.js";
+import User from "../models/User.js";
+import { suspendUser } from "../lib/accounts.js";
+import { findOrCreateDirectConversation } from "../lib/conversations.js";
+import { deleteMessageForEveryone, findMessageForMember } from "../lib/messages.js";
+
+const REPORT_USER_FIELDS = "fullName email profilePic role suspendedAt";
+const OPEN_STATUSES = ["open", "reviewing"];
+const MAX_REPORTS_PAGE = 100;
+
+// report a message (the logged in user must be in its chat) or a user
+export const createReport = async (req, res) => {
+  try {
+    const { targetType, messageId, userId, reason, comment } = req.body;
+    const reporterId = req.user._id;
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ success: false, message: "Pick a reason for the report" });
+    }
+
+    const report = { reporterId, targetType, reason, comment: comment?.trim() || undefined };
+
+    if (targetType === "message") {
+      const found = await findMessageForMember(messageId, reporterId);
+      if (!found) {
+        return res.status(404).json({ success: false, message: "Message not found" });
+      }
+      const { message } = found;
+      if (message.senderId.equals(reporterId)) {
+        return res.status(400).json({ success: false, message: "You can't report your own message" });
+      }
+      if (message.deletedForEveryone) {
+        return res.status(400).json({ success: false, message: "This message was deleted" });
+      }
+      report.messageId = message._id;
+      report.reportedUserId = message.senderId;
+      report.messageSnapshot = {
+        text: message.text,
+        image: message.image,
+        attachments: message.attachments.map(({ name, url }) => ({ name, url })),
+        sentAt: message.createdAt,
+      };
+    } else if (targetType === "user") {
+      if (reporterId.toString() === userId || !(await User.exists({ _id: userId }))) {
+        return res.status(404).json({ success: false, message: "User not found" });
+      }
+      report.reportedUserId = userId;
+    } else {
+      return res.status(400).json({ success: false, message: "Invalid report" });
+    }
+
+    const duplicate = await Report.exists({
+      reporterId,
+      targetType,
+      reportedUserId: report.reportedUserId,
+      ...(report.messageId && { messageId: report.messageId }),
+      status: { $in: OPEN_STATUSES },
+    });
+    if (duplicate) {
+      return res.status(409).json({ success: false, message: "You already reported this" });
+    }
+
+    await Report.create(report);
+
+    res.status(201).json({ success: true, message: "Thanks, a moderator will review your report" });
+  } catch (error) {
+    console.error("createReport error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// admin: the moderation queue, oldest open reports first (?status=open,reviewing by default)
+export const listReports = async (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(",") : OPEN_STATUSES;
+    const reports = await Report.find({ status: { $in: statuses } })
+      .sort({ createdAt: statuses.every((s) => OPEN_STATUSES.includes(s)) ? 1 : -1 })
+      .limit(MAX_REPORTS_PAGE)
+      .populate("reporterId", REPORT_USER_FIELDS)
+      .populate("reportedUserId", REPORT_USER_FIELDS)
+      .populate("assignedTo", "fullName")
+      .populate("resolvedBy", "fullName");
+
+    res.json({ success: true, reports });
+  } catch (error) {
+    console.error("listReports error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// admin: pick up a report ("reviewing", assigned to the admin) or put it back in the queue ("open")
+export const triageReport = async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!OPEN_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: "Status must be open or reviewing" });
+    }
+
+    const report = await Report.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: OPEN_STATUSES } },
+      status === "reviewing" ? { status, assignedTo: req.user._id } : { status, $unset: { assignedTo: 1 } },
+      { new: true }
+    );
+    if (!report) {
+      return res.status(404).json({ success: false, message: "Report not found or already closed" });
+    }
+
+    res.json({
+      success: true,
+      report,
+      message: status === "reviewing" ? "Report assigned to you" : "Report put back in the queue",
+    });
+  } catch (error) {
+    console.error("triageReport error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Open reports an action on `report` settles too: the other reports about the same message or user,
+// and after a suspension every report against the user
+const settledReportsFilter = (report, action) => ({
+  _id: { $ne: report._id },
+  status: { $in: OPEN_STATUSES },
+  reportedUserId: report.reportedUserId,
+  ...(action !== "suspendUser" &&
+    (report.targetType === "message" ? { messageId: report.messageId } : { targetType: "user" })),
+});
+
+// admin: close a report with an action: "dismiss", "deleteMessage" (message reports) or "suspendUser";
+// the other open reports about the same target are closed along with it
+export const resolveReport = async (req, res) => {
+  try {
+    const { action, note } = req.body;
+    const report = await Report.findOne({ _id: req.params.id, status: { $in: OPEN_STATUSES } });
+    if (!report) {
+      return res.status(404).json({ success: false, message: "Report not found or already closed" });
+    }
+
+    if (action === "deleteMessage") {
+      if (report.targetType !== "message") {
+        return res.status(400).json({ success: false, message: "This report isn't about a message" });
+      }
+      const message = await Message.findById(report.messageId);
+      if (message && !message.deletedForEveryone) {
+        // messages from before conversations existed don't have one yet
+        const conversationId =
+          message.conversationId ||
+          (await findOrCreateDirectConversation(message.senderId, message.receiverId))._id;
+        message.conversationId = conversationId;
+        await deleteMessageForEveryone(message, conversationId);
+      }
+    } else if (action === "suspendUser") {
+      const reportedUser = await User.findById(report.reportedUserId);
+      if (!reportedUser) {
+        return res.status(404).json({ success: false, message: "User not found" });
+      }
+      if (reportedUser.role === "admin") {
+        return res.status(400).json({ success: false, message: "Admins can't be suspended" });
+      }
+      if (!reportedUser.suspendedAt) {
+        await suspendUser(reportedUser._id, note?.trim() || `Reported for ${report.reason}`);
+      }
+    } else if (action !== "dismiss") {
+      return res.status(400).json({ success: false, message: "Unknown action" });
+    }
+
+    const resolution = {
+      status: action === "dismiss" ? "dismissed" : "resolved",
+      action,
+      resolvedBy: req.user._id,
+      resolvedAt: new Date(),
+      resolutionNote: note?.trim() || undefined,
+    };
+    report.set(resolution);
+    await report.save();
+    await Report.updateMany(settledReportsFilter(report, action), resolution);
+
+    res.json({ success: true, report, message: action === "dismiss" ? "Report dismissed" : "Report resolved" });
+  } catch (error) {
+    console.error("resolveReport error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
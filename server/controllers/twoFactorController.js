@@ -0,0 +1,174 @@
+// server/controllers/twoFactorController.js
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import TwoFactorChallenge from "../models/TwoFactorChallenge.js";
+import User from "../models/User.js";
+import { generateTotpSecret, totpUri, verifyTotp } from "../lib/totp.js";
+import { hashToken, TWO_FACTOR_CHALLENGE_TTL_MS, verifyTwoFactorChallenge } from "../lib/utils.js";
+import { startSession } from "../lib/sessions.js";
+
+const ISSUER = "Chattrix";
+const RECOVERY_CODE_COUNT = 10;
+// wrong codes allowed per login challenge before the user has to start over
+const MAX_CODE_ATTEMPTS = 5;
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// Change the record of a login challenge, creating it on first use; resolves to the record as it was before
+const updateChallenge = (jti, update) =>
+  TwoFactorChallenge.findOneAndUpdate(
+    { jti },
+    { ...update, $setOnInsert: { expiresAt: new Date(Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS) } },
+    { upsert: true }
+  );
+
+const normalizeRecoveryCode = (code) => String(code || "").trim().toLowerCase();
+
+// Fresh recovery codes: the plain codes for the user, the hashes for the database
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString("hex");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashToken(code)) };
+};
+
+// Accept a current authenticator code or use up one recovery code.
+// `user` must be loaded with SECRET_FIELDS.
+const checkSecondFactor = async (user, code) => {
+  const step = verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+  if (step !== null) {
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return true;
+  }
+
+  const hash = hashToken(normalizeRecoveryCode(code));
+  const index = user.twoFactor.recoveryCodes.indexOf(hash);
+  if (index === -1) return false;
+  user.twoFactor.recoveryCodes.splice(index, 1);
+  await user.save();
+  return true;
+};
+
+// start enabling 2FA: a new secret to scan, confirmed later with a code
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: "Two-factor authentication is already on" });
+    }
+
+    const secret = generateTotpSecret();
+    await User.findByIdAndUpdate(req.user._id, { "twoFactor.pendingSecret": secret });
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl: totpUri({ secret, account: req.user.email, issuer: ISSUER }),
+    });
+  } catch (error) {
+    console.error("setupTwoFactor error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// finish enabling 2FA with a code from the app; answers with the recovery codes, shown only once
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactor.pendingSecret");
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ success: false, message: "Start the setup first" });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body?.code);
+    if (step === null) {
+      return res.status(400).json({ success: false, message: "Invalid code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+    };
+    await user.save();
+
+    res.json({ success: true, recoveryCodes: codes, message: "Two-factor authentication enabled" });
+  } catch (error) {
+    console.error("enableTwoFactor error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// turn 2FA off; needs the password and a code (or a recovery code)
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: "Two-factor authentication is off" });
+    }
+
+    const isPasswordCorrect = await bcrypt.compare(password || "", user.password);
+    if (!isPasswordCorrect || !(await checkSecondFactor(user, code))) {
+      return res.status(400).json({ success: false, message: "Invalid password or code" });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("disableTwoFactor error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// second login step: trade the challenge from login and a code for a session
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(challengeToken);
+    } catch {
+      return res.status(401).json({ success: false, message: "Login expired, please start again" });
+    }
+    const record = await TwoFactorChallenge.findOne({ jti: challenge.jti });
+    if (record?.usedAt) {
+      return res.status(401).json({ success: false, message: "Login expired, please start again" });
+    }
+    if ((record?.failures ?? 0) >= MAX_CODE_ATTEMPTS) {
+      return res.status(401).json({ success: false, message: "Too many attempts, please start again" });
+    }
+
+    const user = await User.findById(challenge.userId).select(SECRET_FIELDS);
+    if (!user?.twoFactor?.enabled) {
+      return res.status(401).json({ success: false, message: "Login expired, please start again" });
+    }
+    if (user.suspendedAt) {
+      return res.status(403).json({ success: false, message: "Your account has been suspended" });
+    }
+
+    if (!(await checkSecondFactor(user, code))) {
+      await updateChallenge(challenge.jti, { $inc: { failures: 1 } });
+      return res.status(401).json({ success: false, message: "Invalid code" });
+    }
+
+    // a challenge signs in once; a concurrent request with the same one loses here
+    const previous = await updateChallenge(challenge.jti, { $set: { usedAt: new Date() } });
+    if (previous?.usedAt || (previous?.failures ?? 0) >= MAX_CODE_ATTEMPTS) {
+      return res.status(401).json({ success: false, message: "Login expired, please start again" });
+    }
+
+    const { token, refreshToken } = await startSession(user._id, req);
+    const userData = await User.findById(user._id);
+
+    res.json({ success: true, userData, token, refreshToken, message: "Login successful" });
+  } catch (error) {
+    console.error("verifyTwoFactorLogin error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
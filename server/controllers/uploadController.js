@@ -0,0 +1,152 @@
+// server/controllers/uploadController.js
+import fs from "fs/promises";
+import Upload from "../models/Upload.js";
+import UploadSession from "../models/UploadSession.js";
+import {
+  CHUNK_SIZE,
+  UPLOAD_FIELDS,
+  appendChunk,
+  cancelUploadSession,
+  completeUploadSession,
+  receiveMultipartFile,
+  removeUnsentUploads,
+  startUploadSession,
+  storeUpload,
+} from "../lib/uploads.js";
+
+const SESSION_FIELDS = "name mimeType size offset uploadId expiresAt";
+
+const sessionJson = (session) => ({
+  _id: session._id,
+  name: session.name,
+  mimeType: session.mimeType,
+  size: session.size,
+  offset: session.offset,
+  chunkSize: CHUNK_SIZE,
+  complete: Boolean(session.uploadId),
+  expiresAt: session.expiresAt,
+});
+
+// the logged in user's resumable upload from the url, unless it expired
+const findUploadSession = (req) =>
+  UploadSession.findOne({ _id: req.params.id, ownerId: req.user._id, expiresAt: { $gt: new Date() } });
+
+const sendUploadError = (res, error, label) => {
+  if (!error.status) console.error(`${label} error:`, error);
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+// upload one file (multipart/form-data, field "file") to send with a message; answers with its id
+export const createUpload = async (req, res) => {
+  let tempFile;
+  try {
+    const file = await receiveMultipartFile(req);
+    tempFile = file.tempFile;
+    const { _id, name, mimeType, size, url } = await storeUpload(req.user._id, file);
+
+    res.status(201).json({ success: true, upload: { _id, name, mimeType, size, url } });
+  } catch (error) {
+    sendUploadError(res, error, "createUpload");
+  } finally {
+    if (tempFile) await fs.rm(tempFile, { force: true });
+  }
+};
+
+// an upload of the logged in user that wasn't sent yet
+export const getUpload = async (req, res) => {
+  try {
+    const upload = await Upload.findOne({ _id: req.params.id, ownerId: req.user._id, messageId: null }).select(UPLOAD_FIELDS);
+    if (!upload) {
+      return res.status(404).json({ success: false, message: "Upload not found" });
+    }
+    res.json({ success: true, upload });
+  } catch (error) {
+    console.error("getUpload error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// drop an upload the user decided not to send
+export const deleteUpload = async (req, res) => {
+  try {
+    const removed = await removeUnsentUploads({ _id: req.params.id, ownerId: req.user._id });
+    if (!removed) {
+      return res.status(404).json({ success: false, message: "Upload not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("deleteUpload error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// start a resumable upload: { name, mimeType, size } -> the session to send chunks to
+export const createUploadSession = async (req, res) => {
+  try {
+    const session = await startUploadSession(req.user._id, req.body || {});
+    res.status(201).json({ success: true, session: sessionJson(session) });
+  } catch (error) {
+    sendUploadError(res, error, "createUploadSession");
+  }
+};
+
+// where a resumable upload is at, to continue after a dropped connection
+export const getUploadSession = async (req, res) => {
+  try {
+    const session = await findUploadSession(req).select(SESSION_FIELDS);
+    if (!session) {
+      return res.status(404).json({ success: false, message: "Upload not found or expired" });
+    }
+    res.json({ success: true, session: sessionJson(session) });
+  } catch (error) {
+    sendUploadError(res, error, "getUploadSession");
+  }
+};
+
+// one chunk of raw bytes, written at the offset given in the Upload-Offset header
+export const uploadChunk = async (req, res) => {
+  try {
+    const session = await findUploadSession(req);
+    if (!session) {
+      req.resume();
+      return res.status(404).json({ success: false, message: "Upload not found or expired" });
+    }
+
+    const offset = Number(req.headers["upload-offset"]);
+    await appendChunk(session, offset, req);
+
+    res.json({ success: true, session: sessionJson(session) });
+  } catch (error) {
+    sendUploadError(res, error, "uploadChunk");
+  }
+};
+
+// every chunk is in: store the file; answers with the upload to send, like the one-shot upload
+export const completeUpload = async (req, res) => {
+  try {
+    const session = await findUploadSession(req);
+    if (!session) {
+      return res.status(404).json({ success: false, message: "Upload not found or expired" });
+    }
+
+    const upload = await completeUploadSession(session);
+    const { _id, name, mimeType, size, url } = upload;
+    res.json({ success: true, upload: { _id, name, mimeType, size, url } });
+  } catch (error) {
+    sendUploadError(res, error, "completeUpload");
+  }
+};
+
+// give up on a resumable upload
+export const cancelUpload = async (req, res) => {
+  try {
+    const session = await findUploadSession(req);
+    if (!session) {
+      return res.status(404).json({ success: false, message: "Upload not found or expired" });
+    }
+    await cancelUploadSession(session);
+    res.json({ success: true });
+  } catch (error) {
+    sendUploadError(res, error, "cancelUpload");
+  }
+};
@@ -1,42 +1,125 @@
 // server/controllers/userController.js
-import { generateToken } from "../lib/utils.js";
 import User from "../models/User.js";
+import { generateTwoFactorChallenge } from "../lib/utils.js";
 import bcrypt from "bcryptjs";
-import cloudinary from "../lib/cloudinary.js";
+import { uploadImage } from "../lib/storage.js";
+import { broadcastOnlineUsers } from "../lib/presence.js";
+import { revokeRefreshToken, rotateRefreshToken } from "../lib/refreshTokens.js";
+import { listSessions, revokeSessions, startSession } from "../lib/sessions.js";
+import { consumeUserToken, issueUserToken, lastUserTokenIssuedAt } from "../lib/userTokens.js";
+import { clientUrl, sendMail } from "../lib/mailer.js";
+import { sendPasswordResetEmail } from "../lib/accounts.js";
+import { isConfiguredAdmin } from "../lib/admins.js";
+import {
+  domainErrorMessage,
+  getSignupPolicy,
+  isEmailDomainAllowed,
+  isInviteRequired,
+  redeemInvite,
+  releaseInvite,
+} from "../lib/signupPolicy.js";
+
+const MIN_PASSWORD_LENGTH = 6;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+// a new verification or password reset mail can be asked for at most this often
+const TOKEN_RESEND_INTERVAL_MS = 60 * 1000;
+
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+// mail the user a link that confirms their address
+const sendVerificationEmail = async (user, req) => {
+  const token = await issueUserToken(user._id, "emailVerification", EMAIL_VERIFICATION_TTL_MS);
+  const link = clientUrl(req, `/verify-email?token=${encodeURIComponent(token)}`);
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your Chattrix email address",
+    text: `Hi ${user.fullName},\n\nConfirm your email address to start chatting:\n${link}\n\nThe link is valid for 24 hours.`,
+  });
+};
 
 // signup a new user
 export const signup = async (req, res) => {
-  const { fullName, email, password, bio } = req.body;
+  const { fullName, email, password, bio, inviteCode } = req.body;
 
   try {
+    if (getSignupPolicy().mode === "closed") {
+      return res.status(403).json({ success: false, message: "Registration is closed" });
+    }
+
     if (!fullName || !email || !password || !bio) {
       return res.status(400).json({ success: false, message: "Missing Details" });
     }
 
+    if (!isEmailDomainAllowed(email)) {
+      return res.status(400).json({ success: false, message: domainErrorMessage() });
+    }
+
     const user = await User.findOne({ email });
     if (user) {
       return res.status(409).json({ success: false, message: "Account already exists" });
     }
 
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    let invite = null;
+    if (await isInviteRequired()) {
+      invite = inviteCode ? await redeemInvite(inviteCode) : null;
+      if (!invite) {
+        return res.status(403).json({ success: false, message: "A valid invite code is required" });
+      }
+    }
 
-    const newUser = await User.create({
-      fullName,
-      email,
-      password: hashedPassword,
-      bio,
-    });
+    const hashedPassword = await hashPassword(password);
 
-    const token = generateToken(newUser._id);
+    let newUser;
+    try {
+      newUser = await User.create({
+        fullName,
+        email,
+        password: hashedPassword,
+        bio,
+        emailVerified: false,
+        invitedBy: invite?.createdBy,
+        role: isConfiguredAdmin(email) ? "admin" : "user",
+      });
+    } catch (error) {
+      if (invite) await releaseInvite(invite);
+      throw error;
+    }
 
-    res.status(201).json({ success: true, userData: newUser, token, message: "Account created successfully" });
+    // the account works without the mail going out, it can be resent later
+    await sendVerificationEmail(newUser, req).catch((error) =>
+      console.error("verification email error:", error)
+    );
+    const { token, refreshToken } = await startSession(newUser._id, req);
+
+    res.status(201).json({
+      success: true,
+      userData: newUser,
+      token,
+      refreshToken,
+      message: "Account created, check your inbox to verify your email",
+    });
   } catch (error) {
     console.error("signup error:", error);
     res.status(500).json({ success: false, message: error.message });
   }
 };
 
+// public: what the signup form has to ask for
+export const signupPolicy = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      policy: { ...getSignupPolicy(), inviteRequired: await isInviteRequired() },
+    });
+  } catch (error) {
+    console.error("signupPolicy error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 // controller to login a user
 export const login = async (req, res) => {
   try {
@@ -53,15 +136,216 @@ export const login = async (req, res) => {
       return res.status(401).json({ success: false, message: "Invalid credentials" });
     }
 
-    const token = generateToken(userData._id);
+    if (userData.suspendedAt) {
+      return res.status(403).json({ success: false, message: "Your account has been suspended" });
+    }
 
-    res.json({ success: true, userData, token, message: "Login successful" });
+    // with 2FA on, the session only starts once a code is verified
+    if (userData.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(userData._id),
+        message: "Enter the code from your authenticator app",
+      });
+    }
+
+    const { token, refreshToken } = await startSession(userData._id, req);
+
+    res.json({ success: true, userData, token, refreshToken, message: "Login successful" });
   } catch (error) {
     console.error("login error:", error);
     res.status(500).json({ success: false, message: error.message });
   }
 };
 
+// controller to exchange a refresh token for a new access token (the refresh token rotates)
+export const refresh = async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body?.refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ success: false, message: "Invalid refresh token" });
+    }
+    res.json({ success: true, token: tokens.token, refreshToken: tokens.refreshToken });
+  } catch (error) {
+    console.error("refresh error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// controller to logout: ends the session of the given refresh token
+export const logout = async (req, res) => {
+  try {
+    const sessionId = await revokeRefreshToken(req.body?.refreshToken);
+    if (sessionId) await revokeSessions({ _id: sessionId });
+    res.json({ success: true, message: "Logged out" });
+  } catch (error) {
+    console.error("logout error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// controller to list the devices the user is signed in on
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastActiveAt: session.lastActiveAt,
+        current: session._id.equals(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    console.error("getSessions error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// controller to sign out one of the user's sessions
+export const revokeSession = async (req, res) => {
+  try {
+    const revoked = await revokeSessions({ _id: req.params.id, userId: req.user._id });
+    if (revoked === 0) {
+      return res.status(404).json({ success: false, message: "Session not found" });
+    }
+    res.json({ success: true, message: "Session signed out" });
+  } catch (error) {
+    console.error("revokeSession error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// controller to sign out every session of the user except the current one
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeSessions({ userId: req.user._id, _id: { $ne: req.sessionId } });
+    res.json({ success: true, revoked, message: "Signed out of all other sessions" });
+  } catch (error) {
+    console.error("revokeOtherSessions error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// controller to change the password of the logged in user; other sessions are signed out
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ success: false, message: "Missing Details" });
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isPasswordCorrect = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordCorrect) {
+      return res.status(400).json({ success: false, message: "Current password is incorrect" });
+    }
+
+    user.password = await hashPassword(newPassword);
+    await user.save();
+    await revokeSessions({ userId: user._id, _id: { $ne: req.sessionId } });
+
+    res.json({ success: true, message: "Password changed" });
+  } catch (error) {
+    console.error("changePassword error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// controller to mail a password reset link; the answer is the same whether the account exists or not
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Email is required" });
+    }
+
+    // one mail a minute at most, answered the same way so it doesn't tell whether the account exists
+    const user = await User.findOne({ email });
+    const lastSentAt = user && (await lastUserTokenIssuedAt(user._id, "passwordReset"));
+    if (user && !(lastSentAt && Date.now() - lastSentAt.getTime() < TOKEN_RESEND_INTERVAL_MS)) {
+      await sendPasswordResetEmail(user, req);
+    }
+
+    res.json({ success: true, message: "If that email has an account, a reset link is on its way" });
+  } catch (error) {
+    console.error("forgotPassword error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// controller to set a new password with a reset token; every session is signed out
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const userId = await consumeUserToken(token, "passwordReset");
+    if (!userId) {
+      return res.status(400).json({ success: false, message: "Reset link is invalid or has expired" });
+    }
+
+    await User.findByIdAndUpdate(userId, { password: await hashPassword(password) });
+    await revokeSessions({ userId });
+
+    res.json({ success: true, message: "Password updated, you can log in now" });
+  } catch (error) {
+    console.error("resetPassword error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// controller to confirm an email address with the token from the verification mail
+export const verifyEmail = async (req, res) => {
+  try {
+    const userId = await consumeUserToken(req.body?.token, "emailVerification");
+    if (!userId) {
+      return res.status(400).json({ success: false, message: "Verification link is invalid or has expired" });
+    }
+
+    await User.findByIdAndUpdate(userId, { emailVerified: true });
+    res.json({ success: true, userId, message: "Email verified" });
+  } catch (error) {
+    console.error("verifyEmail error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// controller to send the verification mail again
+export const resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified !== false) {
+      return res.status(400).json({ success: false, message: "Email is already verified" });
+    }
+
+    const lastSentAt = await lastUserTokenIssuedAt(req.user._id, "emailVerification");
+    if (lastSentAt && Date.now() - lastSentAt.getTime() < TOKEN_RESEND_INTERVAL_MS) {
+      return res.status(429).json({ success: false, message: "Please wait a minute before asking again" });
+    }
+
+    await sendVerificationEmail(req.user, req);
+    res.json({ success: true, message: "Verification email sent" });
+  } catch (error) {
+    console.error("resendVerification error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 // controller to check if user is authenticate or not
 export const checkAuth = (req, res) => {
   if (!req.user) {
@@ -73,20 +357,27 @@ export const checkAuth = (req, res) => {
 // controller to update user profile details
 export const updateProfile = async (req, res) => {
   try {
-    const { profilePic, bio, fullName } = req.body;
+    const { profilePic, bio, fullName, presenceVisibility } = req.body;
 
     const userId = req.user._id;
-    let updatedUser;
-
-    if (!profilePic) {
-      updatedUser = await User.findByIdAndUpdate(userId, { bio, fullName }, { new: true });
-    } else {
-      const upload = await cloudinary.uploader.upload(profilePic);
-      updatedUser = await User.findByIdAndUpdate(
-        userId,
-        { profilePic: upload.secure_url, bio, fullName },
-        { new: true }
-      );
+    const updates = { bio, fullName };
+
+    if (presenceVisibility !== undefined) {
+      if (!User.schema.path("presenceVisibility").enumValues.includes(presenceVisibility)) {
+        return res.status(400).json({ success: false, message: "Invalid presence visibility" });
+      }
+      updates.presenceVisibility = presenceVisibility;
+    }
+
+    if (profilePic) {
+      updates.profilePic = await uploadImage(profilePic, "avatars");
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(userId, updates, { new: true }).select("-password");
+
+    // who may see the user online may have changed
+    if (updates.presenceVisibility && updates.presenceVisibility !== req.user.presenceVisibility) {
+      await broadcastOnlineUsers();
     }
 
     res.json({ success: true, user: updatedUser });
@@ -0,0 +1,161 @@
+import Conversation from "../models/Conversation.js";
+import InviteCode from "../models/InviteCode.js";
+import Message from "../models/Message.js";
+import RefreshToken from "../models/RefreshToken.js";
+import Report from "../models/Report.js";
+import Session from "../models/Session.js";
+import Upload from "../models/Upload.js";
+import UploadSession from "../models/UploadSession.js";
+import User from "../models/User.js";
+import UserToken from "../models/UserToken.js";
+import { io } from "../server.js";
+import { uploadUrls } from "./uploads.js";
+import { deleteFiles } from "./storage.js";
+import { clientUrl, sendMail } from "./mailer.js";
+import { issueUserToken } from "./userTokens.js";
+import { removeFromGroup, userRoom } from "./conversations.js";
+import { dropReceipts } from "./receipts.js";
+import { broadcastOnlineUsers } from "./presence.js";
+import { revokeSessions } from "./sessions.js";
+
+// What happens to the messages a deleted account sent (ACCOUNT_DELETION_MESSAGES):
+//   "anonymize" (default) keeps their text for the other people in the chat, without images or reactions
+//   "delete" removes them
+const DELETION_MODES = ["anonymize", "delete"];
+export const MESSAGE_DELETION_MODE = DELETION_MODES.includes(process.env.ACCOUNT_DELETION_MESSAGES)
+  ? process.env.ACCOUNT_DELETION_MESSAGES
+  : "anonymize";
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+const EXPORT_MESSAGE_FIELDS =
+  "conversationId senderId receiverId text image attachments replyTo editedAt editHistory deletedForEveryone reactions receipts createdAt";
+
+// Everything stored about a user, for a personal data export. Images are listed as URLs.
+export const collectAccountData = async (userId) => {
+  const [profile, sessions, invites, reports, conversations, messages] = await Promise.all([
+    User.findById(userId).select("-password +blockedUsers").lean(),
+    Session.find({ userId }).select("-__v").lean(),
+    InviteCode.find({ createdBy: userId }).select("-__v").lean(),
+    Report.find({ reporterId: userId }).select("targetType reportedUserId messageId reason comment status createdAt").lean(),
+    Conversation.find({ members: userId }).populate("members", "fullName").select("-__v").lean(),
+    Message.find({ $or: [{ senderId: userId }, { receiverId: userId }, { "receipts.userId": userId }] })
+      .select(EXPORT_MESSAGE_FIELDS)
+      .sort({ createdAt: 1 })
+      .lean(),
+  ]);
+
+  const id = userId.toString();
+  const exportedMessages = messages.map(({ receipts = [], ...message }) => ({
+    ...message,
+    direction: message.senderId.toString() === id ? "sent" : "received",
+    // other recipients' read state isn't the user's data
+    receipt: receipts.find((receipt) => receipt.userId.toString() === id) || null,
+  }));
+
+  const images = [
+    ...(profile?.profilePic ? [{ url: profile.profilePic, usedAs: "profilePic" }] : []),
+    ...exportedMessages
+      .filter((message) => message.image)
+      .map((message) => ({ url: message.image, usedAs: "message", messageId: message._id, direction: message.direction })),
+  ];
+  const files = exportedMessages.flatMap((message) =>
+    (message.attachments || []).map(({ name, mimeType, size, url }) => ({
+      name,
+      mimeType,
+      size,
+      url,
+      messageId: message._id,
+      direction: message.direction,
+    }))
+  );
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    sessions,
+    invites,
+    reports,
+    conversations,
+    messages: exportedMessages,
+    images,
+    files,
+  };
+};
+
+// Delete a user's account: sign out every device, leave groups, anonymize or delete
+// their messages, clean up their uploaded images and remove what else is stored about them
+export const deleteUserAccount = async (user) => {
+  const userId = user._id;
+
+  // nothing can act as the user from here on; sockets go first so devices aren't told "signed out"
+  io.in(userRoom(userId)).disconnectSockets(true);
+  await revokeSessions({ userId });
+
+  const sentImages = await Message.find({ senderId: userId, image: { $nin: [null, ""] } }).distinct("image");
+  const sentFiles = await Message.find({ senderId: userId, "attachments.0": { $exists: true } }).distinct("attachments.url");
+  const uploadedFiles = (await Upload.find({ ownerId: userId }).select("url thumbnailUrl mediumUrl")).flatMap(uploadUrls);
+
+  const groups = await Conversation.find({ type: "group", members: userId });
+  for (const group of groups) await removeFromGroup(group, userId);
+  // nothing waits on the user to receive or read direct messages either
+  await dropReceipts({}, userId);
+
+  if (MESSAGE_DELETION_MODE === "delete") {
+    await Message.deleteMany({ senderId: userId });
+  } else {
+    // image and file only messages have nothing left once the files are gone
+    await Message.updateMany(
+      { senderId: userId, text: { $in: [null, ""] } },
+      { deletedForEveryone: true, deletedAt: new Date() }
+    );
+    await Message.updateMany(
+      { senderId: userId },
+      { $unset: { image: 1, imageMeta: 1 }, $set: { attachments: [], reactions: [] } }
+    );
+  }
+  await Message.updateMany(
+    { $or: [{ "reactions.userId": userId }, { deletedFor: userId }] },
+    { $pull: { reactions: { userId }, deletedFor: userId } }
+  );
+
+  await Promise.all([
+    Session.deleteMany({ userId }),
+    RefreshToken.deleteMany({ userId }),
+    UserToken.deleteMany({ userId }),
+    InviteCode.deleteMany({ createdBy: userId }),
+    Report.deleteMany({ reporterId: userId }),
+    Upload.deleteMany({ ownerId: userId }),
+    // unfinished uploads expire now; the next cleanup removes their temporary files
+    UploadSession.updateMany({ ownerId: userId }, { expiresAt: new Date(0) }),
+  ]);
+  await User.updateMany({ blockedUsers: userId }, { $pull: { blockedUsers: userId } });
+  await User.deleteOne({ _id: userId });
+
+  // the account is gone either way, a failed cleanup only leaves orphaned files behind
+  await deleteFiles([user.profilePic, ...sentImages, ...sentFiles, ...uploadedFiles]).catch((error) =>
+    console.error("account image cleanup error:", error)
+  );
+
+  // every sidebar lists the user, so everyone is told
+  io.emit("userDeleted", { userId, messagesRemoved: MESSAGE_DELETION_MODE === "delete" });
+  broadcastOnlineUsers().catch((error) => console.error("broadcastOnlineUsers error:", error));
+};
+
+// Suspend an account: every device is signed out and it can't sign in until the suspension is lifted
+export const suspendUser = async (userId, reason) => {
+  await User.updateOne({ _id: userId }, { suspendedAt: new Date(), suspensionReason: reason });
+  io.in(userRoom(userId)).disconnectSockets(true);
+  await revokeSessions({ userId });
+};
+
+// Mail the user a link to choose a new password
+export const sendPasswordResetEmail = async (user, req) => {
+  const token = await issueUserToken(user._id, "passwordReset", PASSWORD_RESET_TTL_MS);
+  const link = clientUrl(req, `/reset-password?token=${encodeURIComponent(token)}`);
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Chattrix password",
+    text: `Hi ${user.fullName},\n\nUse this link within the next hour to choose a new password:\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+  });
+};
@@ -0,0 +1,18 @@
+import User from "../models/User.js";
+
+// Moderators are accounts with the admin role (checked by requireAdmin). Nobody can hand it out
+// from the app, so the accounts listed in ADMIN_EMAILS (comma separated) get it: at startup for
+// existing accounts, and at signup for accounts created later.
+const configuredAdminEmails = () =>
+  (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim())
+    .filter(Boolean);
+
+export const isConfiguredAdmin = (email) => configuredAdminEmails().includes(email);
+
+export const promoteConfiguredAdmins = async () => {
+  const emails = configuredAdminEmails();
+  if (emails.length === 0) return;
+  await User.updateMany({ email: { $in: emails }, role: { $ne: "admin" } }, { role: "admin" });
+};
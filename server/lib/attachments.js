@@ -0,0 +1,57 @@
+const MB = 1024 * 1024;
+
+// File types a message can carry (uploaded through lib/uploads.js), with the extension
+// each one is stored under and a size limit per kind.
+// Mirrored by client/src/lib/attachments.js.
+export const ATTACHMENT_KINDS = {
+  image: {
+    maxSize: 10 * MB,
+    types: { "image/png": ".png", "image/jpeg": ".jpg", "image/gif": ".gif", "image/webp": ".webp" },
+  },
+  pdf: {
+    maxSize: 20 * MB,
+    types: { "application/pdf": ".pdf" },
+  },
+  text: {
+    maxSize: 2 * MB,
+    types: { "text/plain": ".txt", "text/markdown": ".md", "text/csv": ".csv", "application/json": ".json" },
+  },
+  document: {
+    maxSize: 20 * MB,
+    types: {
+      "application/msword": ".doc",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+      "application/vnd.ms-excel": ".xls",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ".xlsx",
+      "application/vnd.ms-powerpoint": ".ppt",
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation": ".pptx",
+      "application/vnd.oasis.opendocument.text": ".odt",
+      "application/vnd.oasis.opendocument.spreadsheet": ".ods",
+      "application/vnd.oasis.opendocument.presentation": ".odp",
+      "application/rtf": ".rtf",
+    },
+  },
+  video: {
+    maxSize: 200 * MB,
+    types: { "video/mp4": ".mp4", "video/webm": ".webm", "video/quicktime": ".mov" },
+  },
+  archive: {
+    maxSize: 25 * MB,
+    types: {
+      "application/zip": ".zip",
+      "application/x-zip-compressed": ".zip",
+      "application/x-7z-compressed": ".7z",
+      "application/vnd.rar": ".rar",
+      "application/x-rar-compressed": ".rar",
+      "application/gzip": ".gz",
+      "application/x-gzip": ".gz",
+      "application/x-tar": ".tar",
+    },
+  },
+};
+
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENTS_SIZE = 250 * MB;
+
+export const attachmentKind = (mimeType) =>
+  Object.keys(ATTACHMENT_KINDS).find((kind) => ATTACHMENT_KINDS[kind].types[mimeType]) || null;
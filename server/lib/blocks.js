@@ -0,0 +1,26 @@
+import User from "../models/User.js";
+
+// Whether either of two users blocked the other
+export const isBlockedBetween = async (userA, userB) =>
+  Boolean(
+    await User.exists({
+      $or: [
+        { _id: userA, blockedUsers: userB },
+        { _id: userB, blockedUsers: userA },
+      ],
+    })
+  );
+
+// "blockerId:blockedId" pairs for every block the given users are part of, either side
+export const blockPairsOf = async (userIds) => {
+  const pairs = new Set();
+  if (userIds.length === 0) return pairs;
+
+  const users = await User.find({
+    $or: [{ _id: { $in: userIds } }, { blockedUsers: { $in: userIds } }],
+  }).select("+blockedUsers");
+  users.forEach((user) => {
+    (user.blockedUsers || []).forEach((blockedId) => pairs.add(`${user._id}:${blockedId}`));
+  });
+  return pairs;
+};
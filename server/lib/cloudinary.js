@@ -1,3 +1,4 @@
+import { createReadStream } from "fs";
 import { v2 as cloudinary } from "cloudinary";
 
 cloudinary.config({
@@ -6,4 +7,45 @@ cloudinary.config({
     api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-export default cloudinary;
\ No newline at end of file
+// delete_resources takes at most this many ids per call
+const DELETE_BATCH_SIZE = 100;
+
+// Resource type and public id of an uploaded asset from its delivery URL,
+// e.g. ".../image/upload/v1712345678/folder/abc.jpg" -> { resourceType: "image", publicId: "folder/abc" }.
+// Raw files keep their extension in the public id.
+export const publicIdFromUrl = (url) => {
+    const match = /\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/i.exec(url || "");
+    if (!match) return null;
+    const [, resourceType, path] = match;
+    return { resourceType, publicId: resourceType === "raw" ? path : path.replace(/\.[a-z0-9]+$/i, "") };
+}
+
+// Storage adapter (see storage.js) keeping files on Cloudinary
+export const cloudinaryStorage = {
+    upload: ({ key, buffer, file }) => new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+            // Cloudinary adds the extension itself
+            { public_id: key.replace(/\.[a-z0-9]+$/i, ""), resource_type: "auto" },
+            (error, result) => (error ? reject(error) : resolve({ url: result.secure_url }))
+        );
+        if (file) createReadStream(file).on("error", reject).pipe(stream);
+        else stream.end(buffer);
+    }),
+
+    owns: (url) => url.includes("res.cloudinary.com"),
+
+    remove: async (urls) => {
+        const byType = {};
+        urls.map(publicIdFromUrl).filter(Boolean).forEach(({ resourceType, publicId }) => {
+            (byType[resourceType] ||= new Set()).add(publicId);
+        });
+        for (const [resourceType, ids] of Object.entries(byType)) {
+            const publicIds = [...ids];
+            for (let i = 0; i < publicIds.length; i += DELETE_BATCH_SIZE) {
+                await cloudinary.api.delete_resources(publicIds.slice(i, i + DELETE_BATCH_SIZE), { resource_type: resourceType });
+            }
+        }
+    },
+};
+
+export default cloudinary;
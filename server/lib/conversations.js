@@ -0,0 +1,98 @@
+import Conversation from "../models/Conversation.js";
+import { io } from "../server.js";
+import { dropReceipts } from "./receipts.js";
+
+// How long a client has to acknowledge an event before it counts as not received
+const ACK_TIMEOUT_MS = 10000;
+
+// Member fields sent along with a group
+export const MEMBER_FIELDS = "fullName email profilePic bio";
+
+// Name of the socket.io room that fans out events for a conversation
+export const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+// Name of the socket.io room every connected device of a user joins
+export const userRoom = (userId) => `user:${userId}`;
+
+// Key identifying the direct conversation between two users, whichever way round
+export const directKeyOf = (userA, userB) => [userA.toString(), userB.toString()].sort().join(":");
+
+// Find the direct conversation between two users, creating it on first use.
+// Sockets only join their conversation rooms on connect, so the two users' devices join a new one here.
+export const findOrCreateDirectConversation = async (userA, userB) => {
+  const directKey = directKeyOf(userA, userB);
+  const { value: conversation, lastErrorObject } = await Conversation.findOneAndUpdate(
+    { directKey },
+    { $setOnInsert: { type: "direct", directKey, members: [userA, userB] } },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+  if (!lastErrorObject?.updatedExisting) joinConversationRoom(conversation._id, [userA, userB]);
+  return conversation;
+};
+
+// Make the connected sockets of the given users join a conversation room
+export const joinConversationRoom = (conversationId, userIds) => {
+  userIds.forEach((userId) => {
+    io.in(userRoom(userId)).socketsJoin(conversationRoom(conversationId));
+  });
+};
+
+// Remove the connected sockets of the given users from a conversation room
+export const leaveConversationRoom = (conversationId, userIds) => {
+  userIds.forEach((userId) => {
+    io.in(userRoom(userId)).socketsLeave(conversationRoom(conversationId));
+  });
+};
+
+// Emit an event to everyone in a conversation, optionally skipping all devices of one user
+export const emitToConversation = (conversationId, event, payload, { exceptUserId } = {}) => {
+  let target = io.to(conversationRoom(conversationId));
+  if (exceptUserId) target = target.except(userRoom(exceptUserId));
+  target.emit(event, payload);
+};
+
+// Emit an event to every device in a conversation, the sender's other devices included,
+// and call onAck(userId) for every recipient socket that acknowledges it
+export const emitToConversationWithAck = async (conversationId, event, payload, { senderId, onAck }) => {
+  const sockets = await io.in(conversationRoom(conversationId)).fetchSockets();
+  sockets
+    .filter((socket) => socket.data.userId)
+    .forEach((socket) => {
+      const isSender = socket.data.userId === senderId?.toString();
+      socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (err) => {
+        if (!err && !isSender) onAck(socket.data.userId);
+      });
+    });
+};
+
+// Emit an event to every connected device of a user
+export const emitToUser = (userId, event, payload) => {
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+// Populate members and tell everyone in the room about the new group state
+export const broadcastGroup = async (group) => {
+  await group.populate("members", MEMBER_FIELDS);
+  emitToConversation(group._id, "conversationUpdated", group);
+  return group;
+};
+
+// Take a user out of a group; the oldest remaining member is promoted if no admin is left
+// and a group nobody is left in is deleted. Messages the user hadn't read no longer wait for them.
+export const removeFromGroup = async (group, userId) => {
+  group.members.pull(userId);
+  group.admins.pull(userId);
+
+  leaveConversationRoom(group._id, [userId]);
+  emitToUser(userId, "conversationRemoved", { conversationId: group._id });
+
+  if (group.members.length === 0) {
+    await group.deleteOne();
+    return;
+  }
+
+  if (group.admins.length === 0) group.admins.push(group.members[0]);
+  await group.save();
+  await dropReceipts({ conversationId: group._id }, userId);
+  await broadcastGroup(group);
+};
@@ -0,0 +1,60 @@
+import sharp from "sharp";
+import { encode } from "blurhash";
+
+// Longest side, in pixels, of the smaller copies made of every uploaded image:
+// thumbnails for grids and file tiles, medium for chat bubbles. The original is kept at full size.
+export const IMAGE_RENDITIONS = { thumbnail: 320, medium: 1280 };
+
+// refuse images that would take too much memory to decode (about 100 megapixels)
+const MAX_PIXELS = 100_000_000;
+// the blurhash is computed on a copy this small; it only holds a few colors anyway
+const BLURHASH_SIZE = 32;
+
+// Encoders by type, so every rendition keeps the type (and extension) of the upload
+const ENCODERS = {
+  "image/jpeg": (image, quality) => image.jpeg({ quality, mozjpeg: true }),
+  "image/png": (image) => image.png({ compressionLevel: 9 }),
+  "image/webp": (image, quality) => image.webp({ quality }),
+  "image/gif": (image) => image.gif(),
+};
+
+// Re-encode an uploaded image (a file path or a Buffer) without its metadata (EXIF, GPS position,
+// camera details...), turned the way its EXIF orientation said, and make its smaller renditions
+// and blurhash placeholder.
+// GIF and WebP animations are kept. Resolves to
+//   { width, height, blurhash, original, medium, thumbnail }
+// with the renditions as Buffers; medium or thumbnail is null when the image isn't larger than that.
+// Throws when the file isn't a decodable image.
+export const processImage = async (file, mimeType) => {
+  const encoder = ENCODERS[mimeType];
+  if (!encoder) throw new Error(`Unsupported image type ${mimeType}`);
+  const animated = mimeType === "image/gif" || mimeType === "image/webp";
+  const open = () => sharp(file, { animated, limitInputPixels: MAX_PIXELS }).autoOrient();
+
+  const { autoOrient } = await sharp(file, { limitInputPixels: MAX_PIXELS }).metadata();
+  const { width, height } = autoOrient;
+
+  // metadata isn't copied over unless asked for, so every output is stripped
+  const render = (maxSide, quality) =>
+    encoder(
+      maxSide ? open().resize(maxSide, maxSide, { fit: "inside", withoutEnlargement: true }) : open(),
+      quality
+    ).toBuffer();
+
+  const longestSide = Math.max(width, height);
+  const [original, medium, thumbnail] = await Promise.all([
+    render(null, 90),
+    longestSide > IMAGE_RENDITIONS.medium ? render(IMAGE_RENDITIONS.medium, 82) : null,
+    longestSide > IMAGE_RENDITIONS.thumbnail ? render(IMAGE_RENDITIONS.thumbnail, 75) : null,
+  ]);
+
+  const { data, info } = await sharp(file, { limitInputPixels: MAX_PIXELS })
+    .autoOrient()
+    .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const blurhash = encode(new Uint8ClampedArray(data), info.width, info.height, width >= height ? 4 : 3, width >= height ? 3 : 4);
+
+  return { width, height, blurhash, original, medium, thumbnail };
+};
@@ -0,0 +1,36 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Where the "file" transport drops messages
+const MAIL_DIR = process.env.MAIL_DIR || "mail";
+const MAIL_FROM = process.env.MAIL_FROM || "Chattrix <no-reply@chattrix.local>";
+
+// Built-in transports for local development. A transport is an async function
+// receiving { from, to, subject, text }.
+const transports = {
+  // print the message to the server log
+  console: async (message) => {
+    console.log(`\n--- mail to ${message.to}: ${message.subject} ---\n${message.text}\n---`);
+  },
+  // write every message as a JSON file, handy for scripts and manual testing
+  file: async (message) => {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+    const name = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`;
+    await fs.writeFile(path.join(MAIL_DIR, name), JSON.stringify(message, null, 2));
+  },
+};
+
+let transport = transports[process.env.MAIL_TRANSPORT || "console"] || transports.console;
+
+// Plug in another transport, e.g. one backed by an SMTP or HTTP mail service
+export const setMailTransport = (send) => {
+  transport = send;
+};
+
+export const sendMail = ({ to, subject, text }) => transport({ from: MAIL_FROM, to, subject, text });
+
+// Absolute link into the client app, used in mails
+export const clientUrl = (req, pathname) => {
+  const base = process.env.CLIENT_URL || req.headers.origin || "http://localhost:5173";
+  return new URL(pathname, base).toString();
+};
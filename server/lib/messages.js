@@ -0,0 +1,57 @@
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import Upload from "../models/Upload.js";
+import { emitToConversation, findOrCreateDirectConversation } from "./conversations.js";
+import { deleteFiles } from "./storage.js";
+import { uploadUrls } from "./uploads.js";
+
+// fields of a quoted message returned along with its reply
+export const REPLY_FIELDS = "senderId text image imageMeta attachments deletedForEveryone createdAt";
+
+// Find a message together with its conversation, only if the given user is a member.
+// Messages stored before conversations existed get their direct conversation attached here.
+export const findMessageForMember = async (messageId, userId) => {
+  const message = await Message.findById(messageId);
+  if (!message) return null;
+
+  let conversation;
+  if (message.conversationId) {
+    conversation = await Conversation.findById(message.conversationId);
+  } else {
+    conversation = await findOrCreateDirectConversation(message.senderId, message.receiverId);
+    message.conversationId = conversation._id;
+  }
+
+  if (!conversation || !conversation.members.some((id) => id.equals(userId))) return null;
+  return { message, conversation };
+};
+
+// Replace a message with a "deleted" placeholder for everyone in its conversation;
+// its image (renditions included) and attachments are removed from storage
+export const deleteMessageForEveryone = async (message, conversationId) => {
+  const uploads = await Upload.find({ messageId: message._id }).select("url thumbnailUrl mediumUrl");
+  const files = [
+    message.image,
+    message.imageMeta?.thumbnailUrl,
+    message.imageMeta?.mediumUrl,
+    ...message.attachments.flatMap((file) => [file.url, file.thumbnailUrl]),
+    ...uploads.flatMap(uploadUrls),
+  ];
+
+  message.deletedForEveryone = true;
+  message.deletedAt = new Date();
+  message.text = undefined;
+  message.image = undefined;
+  message.imageMeta = undefined;
+  message.attachments = [];
+  message.editHistory = [];
+  message.reactions = [];
+  await message.save();
+  await Upload.deleteMany({ messageId: message._id });
+  // the message is gone either way, a failed cleanup only leaves orphaned files behind
+  await deleteFiles(files).catch((error) => console.error("message file cleanup error:", error));
+  await message.populate("replyTo", REPLY_FIELDS);
+
+  emitToConversation(conversationId, "messageDeleted", message);
+  return message;
+};
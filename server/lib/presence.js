@@ -0,0 +1,66 @@
+import Conversation from "../models/Conversation.js";
+import User from "../models/User.js";
+import { userSocketMap } from "../server.js";
+import { emitToUser } from "./conversations.js";
+import { blockPairsOf } from "./blocks.js";
+
+// Map each given user id to the ids of the users sharing a conversation with them
+const contactsOf = async (userIds) => {
+  const contacts = new Map(userIds.map((id) => [id.toString(), new Set()]));
+  if (userIds.length === 0) return contacts;
+
+  const conversations = await Conversation.find({ members: { $in: userIds } }).select("members");
+  conversations.forEach(({ members }) => {
+    const ids = members.map((id) => id.toString());
+    ids.forEach((id) => {
+      const set = contacts.get(id);
+      if (set) ids.forEach((other) => other !== id && set.add(other));
+    });
+  });
+  return contacts;
+};
+
+// Build a (viewerId, subjectId) => boolean check from the subjects' privacy settings
+// and blocks: users who blocked each other never see each other's presence.
+// Subjects are users (or plain objects) with _id and presenceVisibility.
+export const presenceFilter = async (subjects) => {
+  const visibility = new Map(
+    subjects.map((s) => [s._id.toString(), s.presenceVisibility || "everyone"])
+  );
+  const contactsOnly = subjects.filter((s) => s.presenceVisibility === "contacts").map((s) => s._id);
+  const contacts = await contactsOf(contactsOnly);
+  const blocks = await blockPairsOf(subjects.map((s) => s._id));
+
+  return (viewerId, subjectId) => {
+    const viewer = viewerId.toString();
+    const subject = subjectId.toString();
+    if (viewer === subject) return true;
+    if (blocks.has(`${viewer}:${subject}`) || blocks.has(`${subject}:${viewer}`)) return false;
+
+    switch (visibility.get(subject)) {
+      case "nobody":
+        return false;
+      case "contacts":
+        return contacts.get(subject)?.has(viewer) ?? false;
+      default:
+        return true;
+    }
+  };
+};
+
+// Send each connected user the list of online users they are allowed to see
+export const broadcastOnlineUsers = async () => {
+  const onlineIds = Object.keys(userSocketMap);
+  const subjects = await User.find({ _id: { $in: onlineIds } }).select("presenceVisibility");
+  const canSee = await presenceFilter(subjects);
+
+  onlineIds.forEach((viewerId) => {
+    const visible = onlineIds.filter((id) => canSee(viewerId, id));
+    emitToUser(viewerId, "getOnlineUsers", visible);
+  });
+};
+
+// Remember when a user's last socket went away
+export const recordLastSeen = async (userId) => {
+  await User.findByIdAndUpdate(userId, { lastSeen: new Date() });
+};
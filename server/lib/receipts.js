@@ -0,0 +1,62 @@
+import Message from "../models/Message.js";
+import { emitToUser } from "./conversations.js";
+
+// Set the message-level deliveredAt / readAt once every recipient has reached that state
+const completeMessage = (message, now) => {
+  if (!message.deliveredAt && message.receipts.every((r) => r.deliveredAt)) message.deliveredAt = now;
+  if (!message.readAt && message.receipts.every((r) => r.readAt)) message.readAt = now;
+};
+
+// Stamp the user's receipt on a message
+const applyReceipt = (message, userId, read, now) => {
+  const receipt = message.receipts.find((r) => r.userId.equals(userId));
+  if (!receipt) return;
+
+  if (!receipt.deliveredAt) receipt.deliveredAt = now;
+  if (read && !receipt.readAt) receipt.readAt = now;
+
+  completeMessage(message, now);
+};
+
+// Tell each sender about the new delivery state of their messages
+const emitStatus = (messages) => {
+  const bySender = {};
+  messages.forEach(({ _id, senderId, conversationId, deliveredAt, readAt, receipts }) => {
+    const key = senderId.toString();
+    bySender[key] = bySender[key] || [];
+    bySender[key].push({ _id, conversationId, deliveredAt, readAt, receipts });
+  });
+  Object.entries(bySender).forEach(([senderId, statuses]) => {
+    emitToUser(senderId, "messageStatus", { statuses });
+  });
+};
+
+// Mark the matching messages addressed to the user as delivered, or as read when `read` is set,
+// and notify their senders. Only messages whose receipt actually changes are touched.
+export const markReceipts = async (filter, userId, { read = false } = {}) => {
+  const pending = read ? { userId, readAt: null } : { userId, deliveredAt: null };
+  const messages = await Message.find({ ...filter, receipts: { $elemMatch: pending } });
+  if (messages.length === 0) return;
+
+  const now = new Date();
+  messages.forEach((message) => applyReceipt(message, userId, read, now));
+  await Promise.all(messages.map((message) => message.save()));
+
+  emitStatus(messages);
+};
+
+// Drop the user's unread receipts from the matching messages, for a recipient who is gone
+// (left or was removed from the group, deleted their account), so the others still complete them.
+export const dropReceipts = async (filter, userId) => {
+  const messages = await Message.find({ ...filter, receipts: { $elemMatch: { userId, readAt: null } } });
+  if (messages.length === 0) return;
+
+  const now = new Date();
+  messages.forEach((message) => {
+    message.receipts = message.receipts.filter((r) => !(r.userId.equals(userId) && !r.readAt));
+    completeMessage(message, now);
+  });
+  await Promise.all(messages.map((message) => message.save()));
+
+  emitStatus(messages);
+};
@@ -0,0 +1,65 @@
+import RefreshToken from "../models/RefreshToken.js";
+import Session from "../models/Session.js";
+import { generateSecretToken, generateToken, hashToken } from "./utils.js";
+import { revokeSessions } from "./sessions.js";
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+export const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+// A token presented again shortly after it was rotated is most likely a second tab
+// refreshing at the same time, not a stolen token
+const REUSE_GRACE_MS = 10 * 1000;
+
+// Issue a new refresh token for one of the user's sessions
+export const generateRefreshToken = async (userId, sessionId) => {
+  const token = generateSecretToken();
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    sessionId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  return token;
+};
+
+// Exchange a refresh token for a new access / refresh token pair, or null when it is not valid.
+// Replaying an already rotated token revokes its whole session, signing its devices out.
+export const rotateRefreshToken = async (token) => {
+  if (!token) return null;
+  const now = new Date();
+  const tokenHash = hashToken(token);
+
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now }
+  );
+
+  if (!stored) {
+    const used = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+    if (used && now - used.revokedAt > REUSE_GRACE_MS) {
+      await revokeSessions({ _id: used.sessionId });
+    }
+    return null;
+  }
+
+  const session = await Session.findOne({ _id: stored.sessionId, revokedAt: null });
+  if (!session) return null;
+
+  session.lastActiveAt = now;
+  await session.save();
+
+  return {
+    userId: stored.userId,
+    token: generateToken(stored.userId, session._id),
+    refreshToken: await generateRefreshToken(stored.userId, session._id),
+  };
+};
+
+// Revoke a refresh token so it can no longer be used; resolves to its session id, if any
+export const revokeRefreshToken = async (token) => {
+  if (!token) return null;
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return stored?.sessionId ?? null;
+};
@@ -0,0 +1,95 @@
+import crypto from "crypto";
+
+// Minimal client for S3-compatible object storage (AWS S3, MinIO, R2...), signing requests with
+// AWS Signature Version 4. Configured with:
+//   S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+//   S3_REGION (default us-east-1)
+//   S3_ENDPOINT, e.g. http://localhost:9000 for a local MinIO; requests then use path-style URLs
+//   S3_PUBLIC_URL, where the objects can be read by browsers (default: the bucket URL).
+//     The bucket (or that URL) must allow anonymous reads, e.g. `mc anonymous set download local/chattrix`
+const REGION = process.env.S3_REGION || "us-east-1";
+const BUCKET = process.env.S3_BUCKET;
+const ENDPOINT = process.env.S3_ENDPOINT?.replace(/\/+$/, "");
+
+const BUCKET_URL = ENDPOINT ? `${ENDPOINT}/${BUCKET}` : `https://${BUCKET}.s3.${REGION}.amazonaws.com`;
+const PUBLIC_URL = (process.env.S3_PUBLIC_URL || BUCKET_URL).replace(/\/+$/, "");
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// RFC 3986 encoding, as the signature expects
+const encodeRfc3986 = (text) =>
+  encodeURIComponent(text).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split("/").map(encodeRfc3986).join("/");
+
+// Send a signed request for one object of the bucket. A streamed body needs its `size` and is sent unsigned.
+const request = async (method, key, { body, size, contentType } = {}) => {
+  if (!BUCKET || !process.env.S3_ACCESS_KEY_ID || !process.env.S3_SECRET_ACCESS_KEY) {
+    throw new Error("S3 storage is not configured");
+  }
+
+  const url = new URL(`${BUCKET_URL}/${encodeKey(key)}`);
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const date = amzDate.slice(0, 8);
+  const isStream = body && !Buffer.isBuffer(body);
+  const payloadHash = isStream ? "UNSIGNED-PAYLOAD" : sha256(body || "");
+
+  const headers = {
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+    ...(contentType && { "content-type": contentType }),
+    ...(isStream && { "content-length": String(size) }),
+  };
+  const signedHeaders = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    "",
+    ...signedHeaders.map((name) => `${name}:${headers[name]}`),
+    "",
+    signedHeaders.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${date}/${REGION}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${process.env.S3_SECRET_ACCESS_KEY}`, date), REGION)
+  );
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  // fetch sets Host itself, from the same URL
+  delete headers.host;
+  const response = await fetch(url, {
+    method,
+    body,
+    ...(isStream && { duplex: "half" }),
+    headers: {
+      ...headers,
+      authorization: `AWS4-HMAC-SHA256 Credential=${process.env.S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`,
+    },
+  });
+  if (!response.ok) {
+    const detail = /<Message>(.*?)<\/Message>/.exec(await response.text())?.[1];
+    throw new Error(`S3 ${method} failed: ${detail || response.statusText}`);
+  }
+  return response;
+};
+
+// `body` is a Buffer, or a readable stream of `size` bytes
+export const putObject = async (key, body, contentType, size) => {
+  await request("PUT", key, { body, size, contentType });
+};
+
+export const deleteObject = async (key) => {
+  await request("DELETE", key);
+};
+
+// Public URL of an object, and back
+export const objectUrl = (key) => `${PUBLIC_URL}/${encodeKey(key)}`;
+
+export const keyFromObjectUrl = (url) =>
+  url?.startsWith(`${PUBLIC_URL}/`) ? decodeURIComponent(url.slice(PUBLIC_URL.length + 1)) : null;
@@ -0,0 +1,74 @@
+import Session from "../models/Session.js";
+import RefreshToken from "../models/RefreshToken.js";
+import { io } from "../server.js";
+import { generateToken } from "./utils.js";
+import { generateRefreshToken, REFRESH_TOKEN_TTL_MS } from "./refreshTokens.js";
+
+// Last activity is written at most this often per session
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+
+// Name of the socket.io room the sockets of one session join
+export const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Client address, as seen through a proxy when there is one
+const clientIp = (req) =>
+  req.headers["x-forwarded-for"]?.split(",")[0].trim() || req.socket?.remoteAddress || "";
+
+// Start a session for the request's device and issue its first access / refresh token pair
+export const startSession = async (userId, req) => {
+  const session = await Session.create({
+    userId,
+    userAgent: req.headers["user-agent"] || "",
+    ip: clientIp(req),
+  });
+  return {
+    session,
+    token: generateToken(userId, session._id),
+    refreshToken: await generateRefreshToken(userId, session._id),
+  };
+};
+
+// Find a live session of the user and record activity on it, or null when it was revoked or lapsed
+export const touchSession = async (sessionId, userId) => {
+  const now = Date.now();
+  const session = await Session.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    lastActiveAt: { $gt: new Date(now - REFRESH_TOKEN_TTL_MS) },
+  });
+  if (!session) return null;
+
+  if (now - session.lastActiveAt.getTime() > ACTIVITY_WRITE_INTERVAL_MS) {
+    session.lastActiveAt = new Date(now);
+    await session.save();
+  }
+  return session;
+};
+
+// The user's live sessions, most recently active first
+export const listSessions = (userId) =>
+  Session.find({
+    userId,
+    revokedAt: null,
+    lastActiveAt: { $gt: new Date(Date.now() - REFRESH_TOKEN_TTL_MS) },
+  }).sort({ lastActiveAt: -1 });
+
+// Revoke the matching sessions: their refresh tokens stop working and their live sockets
+// are told why, then disconnected. Returns how many sessions were revoked.
+export const revokeSessions = async (filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select("_id");
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map((s) => s._id);
+  const now = new Date();
+  await Session.updateMany({ _id: { $in: ids } }, { revokedAt: now });
+  await RefreshToken.updateMany({ sessionId: { $in: ids }, revokedAt: null }, { revokedAt: now });
+
+  ids.forEach((id) => {
+    const room = sessionRoom(id);
+    io.to(room).emit("sessionRevoked", { sessionId: id });
+    io.in(room).disconnectSockets(true);
+  });
+  return ids.length;
+};
@@ -0,0 +1,63 @@
+import crypto from "crypto";
+import InviteCode from "../models/InviteCode.js";
+import User from "../models/User.js";
+
+// Who may create an account:
+//   SIGNUP_MODE            "open" (default), "invite" (needs an invite code) or "closed"
+//   SIGNUP_ALLOWED_DOMAINS comma separated email domains, default "gmail.com"; set it empty to allow any
+const SIGNUP_MODES = ["open", "invite", "closed"];
+
+const SIGNUP_MODE = SIGNUP_MODES.includes(process.env.SIGNUP_MODE) ? process.env.SIGNUP_MODE : "open";
+const ALLOWED_DOMAINS = (process.env.SIGNUP_ALLOWED_DOMAINS ?? "gmail.com")
+  .split(",")
+  .map((domain) => domain.trim().toLowerCase().replace(/^@/, ""))
+  .filter(Boolean);
+
+// The public part of the policy, also what the signup form adapts to
+export const getSignupPolicy = () => ({
+  mode: SIGNUP_MODE,
+  allowedDomains: ALLOWED_DOMAINS,
+});
+
+export const isEmailDomainAllowed = (email) => {
+  if (ALLOWED_DOMAINS.length === 0) return true;
+  const domain = String(email || "").split("@").pop().toLowerCase();
+  return ALLOWED_DOMAINS.includes(domain);
+};
+
+export const domainErrorMessage = () =>
+  ALLOWED_DOMAINS.length === 1
+    ? `Use an @${ALLOWED_DOMAINS[0]} email address`
+    : `Use one of: ${ALLOWED_DOMAINS.map((domain) => `@${domain}`).join(", ")}`;
+
+// Invite-only registration can't start from an empty database, so the very first account needs no code
+export const isInviteRequired = async () =>
+  SIGNUP_MODE === "invite" && (await User.estimatedDocumentCount()) > 0;
+
+const normalizeInviteCode = (code) => String(code || "").trim().toUpperCase();
+
+// Readable code such as "K7Q2-M9XD"
+export const generateInviteCode = () => {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const chars = Array.from(crypto.randomBytes(8), (byte) => alphabet[byte % alphabet.length]);
+  return `${chars.slice(0, 4).join("")}-${chars.slice(4).join("")}`;
+};
+
+// Use up one redemption of a code; resolves to the invite, or null if it can't be used
+export const redeemInvite = (code) =>
+  InviteCode.findOneAndUpdate(
+    {
+      code: normalizeInviteCode(code),
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }] },
+      ],
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+
+// Give a redemption back when the signup failed after the code was used
+export const releaseInvite = (invite) =>
+  InviteCode.updateOne({ _id: invite._id, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
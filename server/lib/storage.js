@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import { createReadStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import express from "express";
+import { cloudinaryStorage } from "./cloudinary.js";
+import { processImage } from "./images.js";
+import { deleteObject, keyFromObjectUrl, objectUrl, putObject } from "./s3.js";
+
+// Where uploaded files (avatars, message images) are kept, chosen with STORAGE_DRIVER:
+//   "cloudinary" (default when CLOUDINARY_CLOUD_NAME is set), "local" (default otherwise) or "s3".
+// An adapter is an object with
+//   upload({ key, buffer | file, size, contentType }) -> { url }, with the bytes either in memory or in a local file
+//   owns(url) -> whether the file at url was stored by the adapter
+//   remove(urls) -> deletes those files
+const LOCAL_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+// Public base URL of the files in LOCAL_DIR, served by serveLocalUploads under /uploads
+const LOCAL_URL = (process.env.STORAGE_LOCAL_URL || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(
+  /\/+$/,
+  ""
+);
+
+export const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+const EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+};
+
+// Files on the server's own disk. Not for hosts with an ephemeral filesystem (e.g. Vercel).
+const diskStorage = {
+  upload: async ({ key, buffer, file }) => {
+    const target = path.join(LOCAL_DIR, key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    if (file) await fs.copyFile(file, target);
+    else await fs.writeFile(target, buffer);
+    return { url: `${LOCAL_URL}/${key}` };
+  },
+
+  owns: (url) => url.startsWith(`${LOCAL_URL}/`),
+
+  remove: async (urls) => {
+    for (const url of urls) {
+      const file = path.join(LOCAL_DIR, url.slice(LOCAL_URL.length + 1));
+      // never outside the uploads directory
+      if (!file.startsWith(LOCAL_DIR + path.sep)) continue;
+      await fs.rm(file, { force: true });
+    }
+  },
+};
+
+const s3Storage = {
+  upload: async ({ key, buffer, file, size, contentType }) => {
+    await putObject(key, file ? createReadStream(file) : buffer, contentType, size);
+    return { url: objectUrl(key) };
+  },
+
+  owns: (url) => keyFromObjectUrl(url) !== null,
+
+  remove: async (urls) => {
+    for (const url of urls) await deleteObject(keyFromObjectUrl(url));
+  },
+};
+
+const adapters = {
+  cloudinary: cloudinaryStorage,
+  local: diskStorage,
+  s3: s3Storage,
+};
+
+const driver = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local");
+if (!adapters[driver]) throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+let adapter = adapters[driver];
+
+// Plug in another adapter, e.g. an in-memory one for tests
+export const setStorageAdapter = (storage) => {
+  adapter = storage;
+};
+
+// Split a base64 data URI (what the client sends) into its content type and bytes
+export const parseDataUri = (dataUri) => {
+  const match = /^data:([\w.+-]+\/[\w.+-]+)(?:;[^,]*)?;base64,(.*)$/s.exec(dataUri || "");
+  if (!match) throw new Error("Invalid file data");
+  return { contentType: match[1].toLowerCase(), buffer: Buffer.from(match[2], "base64") };
+};
+
+// Store a file under `folder` with a random name; resolves to its public URL.
+// The bytes come as a `buffer` or as a local `file` path of `size` bytes.
+export const uploadFile = async ({ buffer, file, size, contentType, folder, extension = EXTENSIONS[contentType] || "" }) => {
+  const key = `${folder}/${crypto.randomUUID()}${extension}`;
+  const { url } = await adapter.upload({ key, buffer, file, size: size ?? buffer?.length, contentType });
+  return url;
+};
+
+// Store an image sent as a data URI (avatars), without its metadata and at most medium-sized;
+// anything but a PNG, JPEG, GIF or WebP image is refused
+export const uploadImage = async (dataUri, folder) => {
+  const { contentType, buffer } = parseDataUri(dataUri);
+  if (!IMAGE_TYPES.includes(contentType)) throw new Error("Only PNG, JPEG, GIF and WebP images can be uploaded");
+  let image;
+  try {
+    image = await processImage(buffer, contentType);
+  } catch {
+    throw new Error("The image couldn't be read");
+  }
+  return uploadFile({ buffer: image.medium || image.original, contentType, folder });
+};
+
+// Delete stored files by URL; empty values and files the adapter didn't store are skipped
+export const deleteFiles = async (urls) => {
+  const owned = [...new Set(urls.filter((url) => url && adapter.owns(url)))];
+  if (owned.length > 0) await adapter.remove(owned);
+  return owned.length;
+};
+
+// Serves the files of the local adapter
+export const serveLocalUploads = express.static(LOCAL_DIR, {
+  fallthrough: false,
+  index: false,
+  maxAge: "365d",
+  immutable: true,
+  setHeaders: (res) => res.setHeader("X-Content-Type-Options", "nosniff"),
+});
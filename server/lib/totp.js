@@ -0,0 +1,80 @@
+import crypto from "crypto";
+
+// RFC 6238 time-based one-time passwords, as used by authenticator apps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// accept codes from one step before / after to absorb clock drift
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0");
+  });
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  text
+    .replace(/=+$/, "")
+    .toUpperCase()
+    .split("")
+    .forEach((char) => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) throw new Error("Invalid base32 secret");
+      bits += value.toString(2).padStart(5, "0");
+    });
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// HOTP value (RFC 4226) of a secret for one counter value
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return value.toString().padStart(DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// New random base32 secret for an authenticator app
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth:// URI that authenticator apps read from a QR code
+export const totpUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Check a code against the secret; resolves to the time step it matched, or null.
+// Steps up to `lastUsedStep` are refused so a code can't be replayed.
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (step <= lastUsedStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
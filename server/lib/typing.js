@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import Conversation from "../models/Conversation.js";
+import { conversationRoom, directKeyOf, emitToUser, userRoom } from "./conversations.js";
+import { isBlockedBetween } from "./blocks.js";
+
+// A client may re-announce typing at most this often
+const TYPING_THROTTLE_MS = 2000;
+// Typing is considered stopped when no new start arrives within this window
+const TYPING_EXPIRY_MS = 5000;
+
+// Whether a user may show as typing to another one: they have a direct chat and neither blocked the other
+const canTypeTo = async (userId, toUserId) =>
+  Boolean(await Conversation.exists({ directKey: directKeyOf(userId, toUserId) })) &&
+  !(await isBlockedBetween(userId, toUserId));
+
+// Relay typing:start / typing:stop from a socket to the other participants of a chat.
+// Payload is { conversationId } for a group or { userId } for a direct chat.
+export const registerTypingHandlers = (socket) => {
+  const userId = socket.data.userId;
+  const active = new Map(); // target key -> { target, lastSentAt, timer }
+
+  // resolve who should hear about it, or null when the socket is not allowed to
+  const resolveTarget = ({ conversationId, userId: toUserId } = {}) => {
+    if (conversationId) {
+      const room = conversationRoom(conversationId);
+      if (!socket.rooms.has(room)) return null;
+      return {
+        key: room,
+        emit: (event) => socket.to(room).except(userRoom(userId)).emit(event, { userId, conversationId }),
+      };
+    }
+    if (typeof toUserId === "string" && mongoose.isValidObjectId(toUserId) && toUserId !== userId) {
+      const send = (event) => emitToUser(toUserId, event, { userId, conversationId: null });
+      return {
+        key: userRoom(toUserId),
+        // only within an existing direct chat between users who didn't block each other;
+        // a stray stop is harmless
+        emit: (event) =>
+          event === "typing:stop"
+            ? send(event)
+            : canTypeTo(userId, toUserId)
+                .then((allowed) => allowed && send(event))
+                .catch((error) => console.log(error.message)),
+      };
+    }
+    return null;
+  };
+
+  const stop = (target) => {
+    const entry = active.get(target.key);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    active.delete(target.key);
+    target.emit("typing:stop");
+  };
+
+  socket.on("typing:start", (payload) => {
+    const target = userId && resolveTarget(payload);
+    if (!target) return;
+
+    const now = Date.now();
+    const entry = active.get(target.key);
+    if (entry) clearTimeout(entry.timer);
+
+    const throttled = entry && now - entry.lastSentAt < TYPING_THROTTLE_MS;
+    if (!throttled) target.emit("typing:start");
+
+    active.set(target.key, {
+      target,
+      lastSentAt: throttled ? entry.lastSentAt : now,
+      timer: setTimeout(() => stop(target), TYPING_EXPIRY_MS),
+    });
+  });
+
+  socket.on("typing:stop", (payload) => {
+    const target = userId && resolveTarget(payload);
+    if (target) stop(target);
+  });
+
+  // a closed tab stops typing everywhere it was typing
+  socket.on("disconnect", () => {
+    active.forEach(({ target }) => stop(target));
+  });
+};
@@ -0,0 +1,336 @@
+import crypto from "crypto";
+import { createWriteStream } from "fs";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import Busboy from "busboy";
+import Upload from "../models/Upload.js";
+import UploadSession from "../models/UploadSession.js";
+import { ATTACHMENT_KINDS, MAX_ATTACHMENTS, MAX_ATTACHMENTS_SIZE, attachmentKind } from "./attachments.js";
+import { processImage } from "./images.js";
+import { deleteFiles, uploadFile } from "./storage.js";
+
+const MB = 1024 * 1024;
+// where files are received before they go to storage; resumable uploads survive a restart as long as this does
+const TEMP_DIR = process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), "chattrix-uploads");
+const MAX_NAME_LENGTH = 200;
+// uploads not sent with a message within this time are removed
+const UNSENT_UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+// resumable uploads: largest chunk accepted at once, and how long an unfinished upload can be resumed
+export const CHUNK_SIZE = 5 * MB;
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+export const UPLOAD_FIELDS = "name mimeType size url width height blurhash thumbnailUrl mediumUrl createdAt";
+
+// Error carrying the HTTP status the upload controller answers with
+const uploadError = (status, message) => Object.assign(new Error(message), { status });
+
+// File name safe to show and to offer as a download name
+export const cleanFileName = (name) => {
+  const cleaned = path
+    .basename(String(name || ""))
+    .replace(/[\u0000-\u001f\u007f"\\/]/g, "")
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+  return cleaned || "file";
+};
+
+// Type, name and size check for a file about to be received
+export const checkUploadType = (name, mimeType) => {
+  const kind = attachmentKind(mimeType);
+  if (!kind) throw uploadError(415, `${name}: this file type can't be sent`);
+  return ATTACHMENT_KINDS[kind].maxSize;
+};
+
+const sizeLimitError = (name, maxSize) => uploadError(413, `${name} is larger than ${maxSize / MB} MB`);
+
+// Stream the single file of a multipart/form-data request (field "file") into a temporary file,
+// stopping as soon as it passes the size limit of its type.
+// Resolves to { tempFile, name, mimeType, size }; the caller removes tempFile.
+export const receiveMultipartFile = (req) =>
+  new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { files: 1, fields: 0 } });
+    } catch {
+      reject(uploadError(400, "Send the file as multipart/form-data"));
+      return;
+    }
+
+    let received = null;
+    // the rest of the body is drained, so the client gets to read the answer and the connection stays usable
+    const fail = (error) => {
+      req.unpipe(busboy);
+      req.resume();
+      reject(error);
+    };
+
+    busboy.on("file", (field, stream, { filename, mimeType }) => {
+      if (field !== "file" || received) {
+        stream.resume();
+        return;
+      }
+      const name = cleanFileName(filename);
+      let maxSize;
+      try {
+        maxSize = checkUploadType(name, mimeType);
+      } catch (error) {
+        // refused before a byte is stored; "close" then has nothing left to settle
+        received = Promise.reject(error);
+        received.catch(() => {});
+        fail(error);
+        return;
+      }
+
+      const tempFile = path.join(TEMP_DIR, crypto.randomUUID());
+      let size = 0;
+      const limit = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          callback(size > maxSize ? sizeLimitError(name, maxSize) : null, chunk);
+        },
+      });
+      received = fs
+        .mkdir(TEMP_DIR, { recursive: true })
+        .then(() => pipeline(stream, limit, createWriteStream(tempFile)))
+        .then(() => ({ tempFile, name, mimeType, size }))
+        .catch(async (error) => {
+          await fs.rm(tempFile, { force: true });
+          throw error;
+        });
+      received.catch(fail);
+    });
+
+    busboy.on("error", () => fail(uploadError(400, "Upload interrupted")));
+    busboy.on("close", () => {
+      if (!received) reject(uploadError(400, "No file was sent"));
+      else received.then(resolve, reject);
+    });
+
+    req.pipe(busboy);
+  });
+
+// Every stored file of an upload: the file itself and, for images, its smaller renditions
+export const uploadUrls = (upload) => [upload.url, upload.thumbnailUrl, upload.mediumUrl].filter(Boolean);
+
+// Store an image's renditions, stripped of their metadata (see lib/images.js).
+// Renditions the image is too small for point at the original.
+const storeImage = async ({ tempFile, name, mimeType, extension }) => {
+  let image;
+  try {
+    image = await processImage(tempFile, mimeType);
+  } catch {
+    throw uploadError(415, `${name} isn't a readable image`);
+  }
+
+  const stored = [];
+  const store = async (buffer) => {
+    const url = await uploadFile({ buffer, contentType: mimeType, folder: "attachments", extension });
+    stored.push(url);
+    return url;
+  };
+  try {
+    const url = await store(image.original);
+    return {
+      url,
+      size: image.original.length,
+      width: image.width,
+      height: image.height,
+      blurhash: image.blurhash,
+      mediumUrl: image.medium ? await store(image.medium) : url,
+      thumbnailUrl: image.thumbnail ? await store(image.thumbnail) : url,
+    };
+  } catch (error) {
+    await deleteFiles(stored).catch(() => {});
+    throw error;
+  }
+};
+
+// Hand a received file to the storage layer and remember it for the user's next message
+export const storeUpload = async (ownerId, { tempFile, name, mimeType, size }) => {
+  const kind = attachmentKind(mimeType);
+  // the stored extension comes from the type, never from the name, so files are served as what they were checked to be
+  const extension = ATTACHMENT_KINDS[kind].types[mimeType];
+  const stored =
+    kind === "image"
+      ? await storeImage({ tempFile, name, mimeType, extension })
+      : {
+          url: await uploadFile({ file: tempFile, size, contentType: mimeType, folder: "attachments", extension }),
+          size,
+        };
+  const upload = await Upload.create({ ownerId, name, mimeType, ...stored });
+
+  // a good moment to drop what the user uploaded earlier but never sent
+  removeUnsentUploads({ ownerId, createdAt: { $lt: new Date(Date.now() - UNSENT_UPLOAD_TTL_MS) } }).catch((error) =>
+    console.error("upload cleanup error:", error)
+  );
+  return upload;
+};
+
+// Delete uploads that weren't sent with a message, files included
+export const removeUnsentUploads = async (filter) => {
+  const uploads = await Upload.find({ ...filter, messageId: null }).select("url thumbnailUrl mediumUrl");
+  if (uploads.length === 0) return 0;
+  await Upload.deleteMany({ _id: { $in: uploads.map((upload) => upload._id) } });
+  await deleteFiles(uploads.flatMap(uploadUrls));
+  return uploads.length;
+};
+
+// Tie the user's uploads to a new message, so each one is sent only once.
+// Resolves to the message's image URL (with imageMeta, its size, placeholder and renditions) and attachments;
+// throws (having claimed nothing) when an id is unknown, already sent or not allowed where it is used.
+export const claimUploads = async ({ messageId, ownerId, imageId, attachmentIds: requestedIds = [] }) => {
+  if (!Array.isArray(requestedIds)) throw uploadError(400, "Invalid attachments");
+  const attachmentIds = [...new Set(requestedIds.map(String))];
+  if (attachmentIds.length > MAX_ATTACHMENTS) throw uploadError(400, `Attach at most ${MAX_ATTACHMENTS} files`);
+  if (imageId && attachmentIds.includes(String(imageId))) {
+    throw uploadError(400, "A file can't be both the photo and an attachment");
+  }
+
+  const ids = [...(imageId ? [String(imageId)] : []), ...attachmentIds];
+  if (ids.length === 0) return { image: undefined, imageMeta: undefined, attachments: [] };
+
+  const { modifiedCount } = await Upload.updateMany({ _id: { $in: ids }, ownerId, messageId: null }, { messageId });
+  try {
+    if (modifiedCount !== ids.length) throw uploadError(400, "Upload not found or already sent");
+
+    const uploads = await Upload.find({ _id: { $in: ids } });
+    const byId = new Map(uploads.map((upload) => [upload._id.toString(), upload]));
+    const image = imageId && byId.get(String(imageId));
+    if (image && attachmentKind(image.mimeType) !== "image") throw uploadError(400, "Only images can be sent as a photo");
+
+    const attachments = attachmentIds.map((id) => {
+      const { name, mimeType, size, url, thumbnailUrl } = byId.get(id);
+      return { name, mimeType, size, url, thumbnailUrl };
+    });
+    if (attachments.reduce((total, file) => total + file.size, 0) > MAX_ATTACHMENTS_SIZE) {
+      throw uploadError(400, `Attachments can't add up to more than ${MAX_ATTACHMENTS_SIZE / MB} MB`);
+    }
+    const imageMeta = image && {
+      width: image.width,
+      height: image.height,
+      blurhash: image.blurhash,
+      thumbnailUrl: image.thumbnailUrl,
+      mediumUrl: image.mediumUrl,
+    };
+    return { image: image?.url, imageMeta, attachments };
+  } catch (error) {
+    await releaseUploads(messageId);
+    throw error;
+  }
+};
+
+// Undo claimUploads, when the message couldn't be stored after all
+export const releaseUploads = (messageId) => Upload.updateMany({ messageId }, { messageId: null });
+
+// ---- resumable uploads ----
+// initiate (name, type, size) -> send chunks at the current offset -> complete; the offset can be
+// queried at any time, so a client that lost its connection (or its page) carries on where the server is
+
+const partFile = (session) => path.join(TEMP_DIR, `${session._id}.part`);
+
+// Forget resumable uploads nobody finished in time, temporary files included
+export const removeExpiredUploadSessions = async () => {
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } }).select("_id");
+  await Promise.all(expired.map((session) => fs.rm(partFile(session), { force: true })));
+  await UploadSession.deleteMany({ _id: { $in: expired.map((session) => session._id) } });
+};
+
+export const startUploadSession = async (ownerId, { name, mimeType, size }) => {
+  const fileName = cleanFileName(name);
+  const maxSize = checkUploadType(fileName, mimeType);
+  if (!Number.isInteger(size) || size <= 0) throw uploadError(400, "Invalid file size");
+  if (size > maxSize) throw sizeLimitError(fileName, maxSize);
+
+  removeExpiredUploadSessions().catch((error) => console.error("upload session cleanup error:", error));
+
+  const session = await UploadSession.create({
+    ownerId,
+    name: fileName,
+    mimeType,
+    size,
+    expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS),
+  });
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+  await fs.writeFile(partFile(session), "");
+  return session;
+};
+
+// sessions a chunk is being written to right now; one chunk at a time per session
+const busySessions = new Set();
+
+// Write the request body (raw bytes) at `offset`, which must be where the session is.
+// A chunk counts only once it arrived whole; a broken one is cut off again so the client resends it.
+export const appendChunk = async (session, offset, req) => {
+  if (session.uploadId) throw uploadError(409, "The upload is already complete");
+  if (offset !== session.offset) throw uploadError(409, `Expected offset ${session.offset}`);
+  const id = session._id.toString();
+  if (busySessions.has(id)) throw uploadError(409, "Another chunk is being received");
+
+  const maxBytes = Math.min(CHUNK_SIZE, session.size - offset);
+  if (Number(req.headers["content-length"]) > maxBytes) {
+    req.resume();
+    throw uploadError(413, "Chunk too large");
+  }
+
+  busySessions.add(id);
+  let written = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      written += chunk.length;
+      callback(written > maxBytes ? uploadError(413, "Chunk too large") : null, chunk);
+    },
+  });
+  try {
+    await pipeline(req, limit, createWriteStream(partFile(session), { flags: "r+", start: offset }));
+    if (written === 0) throw uploadError(400, "Empty chunk");
+    session.offset = offset + written;
+    session.expiresAt = new Date(Date.now() + UPLOAD_SESSION_TTL_MS);
+    await session.save();
+    return session;
+  } catch (error) {
+    await fs.truncate(partFile(session), offset).catch(() => {});
+    throw error.status ? error : uploadError(400, "Chunk interrupted");
+  } finally {
+    busySessions.delete(id);
+  }
+};
+
+// Hand the assembled file to storage once every byte is in. Completing again answers with the same
+// upload, as long as it is still waiting to be sent.
+export const completeUploadSession = async (session) => {
+  if (session.uploadId) {
+    const upload = await Upload.findById(session.uploadId);
+    if (!upload) throw uploadError(410, "The upload was removed");
+    if (upload.messageId) throw uploadError(409, "The upload was already sent");
+    return upload;
+  }
+  if (session.offset !== session.size) {
+    throw uploadError(409, `The upload is incomplete (${session.offset} of ${session.size} bytes)`);
+  }
+  const id = session._id.toString();
+  if (busySessions.has(id)) throw uploadError(409, "The upload is being completed");
+
+  busySessions.add(id);
+  try {
+    const upload = await storeUpload(session.ownerId, {
+      tempFile: partFile(session),
+      name: session.name,
+      mimeType: session.mimeType,
+      size: session.size,
+    });
+    session.uploadId = upload._id;
+    await session.save();
+    await fs.rm(partFile(session), { force: true });
+    return upload;
+  } finally {
+    busySessions.delete(id);
+  }
+};
+
+export const cancelUploadSession = async (session) => {
+  await fs.rm(partFile(session), { force: true });
+  await session.deleteOne();
+};
@@ -0,0 +1,34 @@
+import UserToken from "../models/UserToken.js";
+import { generateSecretToken, hashToken } from "./utils.js";
+
+// Issue a single-use token for the user, replacing any unused one with the same purpose
+export const issueUserToken = async (userId, purpose, ttlMs) => {
+  await UserToken.deleteMany({ userId, purpose, usedAt: null });
+
+  const token = generateSecretToken();
+  await UserToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+// Use up a token; resolves to the user id it was issued for, or null when it is unknown,
+// expired or already used
+export const consumeUserToken = async (token, purpose) => {
+  if (!token) return null;
+  const now = new Date();
+  const stored = await UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now }
+  );
+  return stored?.userId ?? null;
+};
+
+// When the user was last sent a token with this purpose, if they have an unused one
+export const lastUserTokenIssuedAt = async (userId, purpose) => {
+  const latest = await UserToken.findOne({ userId, purpose, usedAt: null }).sort({ createdAt: -1 });
+  return latest?.createdAt ?? null;
+};
@@ -1,8 +1,31 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 
-// Function to generate JWT token for user
+// Access tokens are short-lived, clients renew them with a refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
 
-export const generateToken = (userId) => {
-    const token = jwt.sign({userId}, process.env.JWT_SECRET);
+// Function to generate JWT token for a user's session
+
+export const generateToken = (userId, sessionId) => {
+    const token = jwt.sign({userId, sessionId}, process.env.JWT_SECRET, {expiresIn: ACCESS_TOKEN_TTL});
     return token;
-}
\ No newline at end of file
+}
+
+// Random token to hand out to a client; only its hash is stored
+export const generateSecretToken = () => crypto.randomBytes(48).toString("base64url");
+
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Short-lived proof that a user passed the password step and still owes a 2FA code
+export const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+export const generateTwoFactorChallenge = (userId) => {
+    return jwt.sign({userId, purpose: "2fa", jti: crypto.randomUUID()}, process.env.JWT_SECRET, {expiresIn: TWO_FACTOR_CHALLENGE_TTL_MS / 1000});
+}
+
+// Resolves the challenge to { userId, jti }, throws when it is invalid or expired
+export const verifyTwoFactorChallenge = (challengeToken) => {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if(decoded.purpose !== "2fa") throw new Error("Invalid challenge");
+    return { userId: decoded.userId, jti: decoded.jti };
+}
@@ -1,18 +1,68 @@
 import User from "../models/User.js";
 import jwt from "jsonwebtoken";
+import { touchSession } from "../lib/sessions.js";
+
+// Verify a JWT and load the user it was issued for (without the password),
+// only while the session it belongs to is still signed in
+const findUserByToken = async (token)=>{
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    if(!decoded.sessionId || !(await touchSession(decoded.sessionId, decoded.userId))){
+        throw new Error("Session expired");
+    }
+    const user = await User.findById(decoded.userId).select("-password");
+    return { user, sessionId: decoded.sessionId };
+}
 
 // Middleware to protect routes
 export const protectRoute = async (req, res, next)=>{
     try {
         const token = req.headers.token;
-        const decoded = jwt.verify(token, process.env.JWT_SECRET)
-        const user = await User.findById(decoded.userId).select("-password");
+        const { user, sessionId } = await findUserByToken(token);
 
-        if(!user) return res.json({success: false, message: "User not found"});
+        if(!user) return res.status(401).json({success: false, message: "User not found"});
+        if(user.suspendedAt) return res.status(403).json({success: false, message: "Your account has been suspended"});
         req.user = user;
+        req.sessionId = sessionId;
+        next();
+    } catch (error) {
+        console.log(error.message);
+        // 401 tells the client to renew an expired access token
+        res.status(401).json({success: false, message: error.message})
+    }
+}
+
+// Middleware for routes unverified accounts can't use (runs after protectRoute)
+export const requireVerifiedEmail = (req, res, next)=>{
+    if(req.user.emailVerified === false){
+        return res.status(403).json({success: false, message: "Verify your email address first"});
+    }
+    next();
+}
+
+// Middleware for moderator-only routes (runs after protectRoute); who is an admin: lib/admins.js
+export const requireAdmin = (req, res, next)=>{
+    if(req.user.role !== "admin"){
+        return res.status(403).json({success: false, message: "Admins only"});
+    }
+    next();
+}
+
+// Socket.io middleware to authenticate the handshake with the same token
+export const protectSocket = async (socket, next)=>{
+    try {
+        const token = socket.handshake.auth?.token;
+        if(!token) return next(new Error("Authentication required"));
+
+        const { user, sessionId } = await findUserByToken(token);
+        if(!user) return next(new Error("User not found"));
+        if(user.suspendedAt) return next(new Error("Account suspended"));
+
+        socket.data.user = user;
+        socket.data.userId = user._id.toString();
+        socket.data.sessionId = sessionId;
         next();
     } catch (error) {
         console.log(error.message);
-        res.json({success: false, message: error.message})
+        next(new Error("Invalid token"));
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+const conversationSchema = new mongoose.Schema({
+  type: { type: String, enum: ["direct", "group"], required: true },
+  // sorted "userA:userB" pair, only set on direct conversations so each pair has one
+  directKey: { type: String, unique: true, sparse: true },
+  members: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  admins: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  name: { type: String, trim: true },
+  avatar: { type: String, default: "" },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+conversationSchema.index({ members: 1 });
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+
+export default Conversation;
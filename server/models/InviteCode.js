@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// Code that lets someone sign up while registration is invite-only.
+// maxUses 1 is a single-use invite; null means it works until revoked or expired.
+const inviteCodeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  maxUses: { type: Number, default: 1, min: 1 },
+  uses: { type: Number, default: 0 },
+  expiresAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+}, {timestamps: true});
+
+const InviteCode = mongoose.model("InviteCode", inviteCodeSchema);
+
+export default InviteCode;
@@ -1,16 +1,58 @@
 import mongoose from "mongoose";
 
 const messageSchema=new mongoose.Schema({
+    conversationId:{type:mongoose.Schema.Types.ObjectId, ref:"Conversation" },
     senderId:{type:mongoose.Schema.Types.ObjectId, ref:"User", required:true },
-    receiverId:{type:mongoose.Schema.Types.ObjectId, ref:"User", required:true },
+    // only set on direct messages, group messages are addressed by conversationId
+    receiverId:{type:mongoose.Schema.Types.ObjectId, ref:"User" },
     text:{type:String},
     image:{type:String},
-    seen:{type:Boolean,default:false}
-    
-
+    // size in pixels, blurhash placeholder and smaller renditions of the image (see lib/images.js)
+    imageMeta:{
+        width:{type:Number},
+        height:{type:Number},
+        blurhash:{type:String},
+        thumbnailUrl:{type:String},
+        mediumUrl:{type:String}
+    },
+    // files sent with the message (see lib/attachments.js)
+    attachments:[{
+        name:{type:String, required:true },
+        mimeType:{type:String, required:true },
+        size:{type:Number, required:true },
+        url:{type:String, required:true },
+        // images only
+        thumbnailUrl:{type:String},
+        _id:false
+    }],
+    replyTo:{type:mongoose.Schema.Types.ObjectId, ref:"Message" },
+    // one entry per recipient; the message-level dates are set once every recipient got there
+    receipts:[{
+        userId:{type:mongoose.Schema.Types.ObjectId, ref:"User", required:true },
+        deliveredAt:{type:Date},
+        readAt:{type:Date},
+        _id:false
+    }],
+    deliveredAt:{type:Date},
+    readAt:{type:Date},
+    editedAt:{type:Date},
+    editHistory:[{ text:{type:String}, editedAt:{type:Date} }],
+    // users who deleted the message "for me" and no longer get it back
+    deletedFor:[{type:mongoose.Schema.Types.ObjectId, ref:"User" }],
+    deletedForEveryone:{type:Boolean,default:false},
+    deletedAt:{type:Date},
+    reactions:[{
+        userId:{type:mongoose.Schema.Types.ObjectId, ref:"User", required:true },
+        emoji:{type:String, required:true },
+        _id:false
+    }]
 },{ timestamps: true });
 
+// newest-first paging through a direct chat or a group
+messageSchema.index({ senderId: 1, receiverId: 1, createdAt: -1 });
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+messageSchema.index({ "receipts.userId": 1 });
 
 const Message = mongoose.model('Message', messageSchema);
 
-export default Message;
\ No newline at end of file
+export default Message;
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// A refresh token handed out at login; only its hash is stored.
+// Every refresh revokes the token and issues the next one for the same session.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: "Session", required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+}, {timestamps: true});
+
+// Let MongoDB drop tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = ["spam", "harassment", "hate", "sexual", "violence", "impersonation", "other"];
+
+// A user's report about a message or another user, worked through by admins
+const reportSchema = new mongoose.Schema({
+  reporterId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  targetType: { type: String, enum: ["message", "user"], required: true },
+  // the reported user; for a message report, its sender
+  reportedUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: "Message" },
+  // copy of the message as reported, so the evidence survives edits and deletion
+  messageSnapshot: {
+    text: { type: String },
+    image: { type: String },
+    attachments: [{ name: { type: String }, url: { type: String }, _id: false }],
+    sentAt: { type: Date },
+  },
+  reason: { type: String, enum: REPORT_REASONS, required: true },
+  comment: { type: String, trim: true, maxlength: 1000 },
+  // open -> reviewing (an admin picked it up) -> resolved or dismissed
+  status: { type: String, enum: ["open", "reviewing", "resolved", "dismissed"], default: "open", index: true },
+  action: { type: String, enum: ["dismiss", "deleteMessage", "suspendUser"] },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  resolvedAt: { type: Date },
+  resolutionNote: { type: String, trim: true },
+}, {timestamps: true});
+
+const Report = mongoose.model("Report", reportSchema);
+
+export default Report;
@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// One signed-in device: created at login, renewed by its refresh tokens
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  userAgent: { type: String, default: "" },
+  ip: { type: String, default: "" },
+  lastActiveAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date, default: null },
+}, {timestamps: true});
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
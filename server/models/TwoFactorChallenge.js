@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// What happened to a two-factor login challenge (see twoFactorController): wrong codes tried with it,
+// and when it was used up. Kept until the challenge token expires.
+const twoFactorChallengeSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  usedAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+}, {timestamps: true});
+
+// Let MongoDB drop records once their challenge expired
+twoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TwoFactorChallenge = mongoose.model("TwoFactorChallenge", twoFactorChallengeSchema);
+
+export default TwoFactorChallenge;
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// A file uploaded ahead of the message it is sent with (see lib/uploads.js).
+// Uploads that never make it into a message are cleaned up after a while.
+const uploadSchema = new mongoose.Schema({
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  name: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  url: { type: String, required: true },
+  // images only: size in pixels, blurhash placeholder and smaller renditions (see lib/images.js)
+  width: { type: Number },
+  height: { type: Number },
+  blurhash: { type: String },
+  thumbnailUrl: { type: String },
+  mediumUrl: { type: String },
+  // set once the file is sent
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: "Message", default: null },
+}, {timestamps: true});
+
+const Upload = mongoose.model("Upload", uploadSchema);
+
+export default Upload;
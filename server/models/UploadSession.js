@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// A resumable upload in progress (see lib/uploads.js): the bytes received so far are kept
+// in a temporary file, `offset` long, until the client completes it
+const uploadSessionSchema = new mongoose.Schema({
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  name: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  offset: { type: Number, default: 0 },
+  // the Upload the file became, so a repeated "complete" answers the same
+  uploadId: { type: mongoose.Schema.Types.ObjectId, ref: "Upload", default: null },
+  expiresAt: { type: Date, required: true, index: true },
+}, {timestamps: true});
+
+const UploadSession = mongoose.model("UploadSession", uploadSessionSchema);
+
+export default UploadSession;
@@ -6,6 +6,27 @@ const userSchema = new mongoose.Schema({
   password: { type: String, required: true, minlength: 6 },
   profilePic: { type: String, default: "" },
   bio: { type: String },
+  // false until the address is confirmed; accounts created before verification existed have no value
+  emailVerified: { type: Boolean },
+  // owner of the invite code used to sign up, when registration is invite-only
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // TOTP two-factor authentication; secrets and recovery code hashes are never selected by default
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+  },
+  lastSeen: { type: Date },
+  role: { type: String, enum: ["user", "admin"], default: "user" },
+  // set by a moderator; a suspended account can't sign in or use the API
+  suspendedAt: { type: Date },
+  suspensionReason: { type: String, select: false },
+  // users this user blocked: no messages either way, no presence; private to the user
+  blockedUsers: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], select: false },
+  // who can see when the user is online or was last seen
+  presenceVisibility: { type: String, enum: ["everyone", "contacts", "nobody"], default: "everyone" },
 }, {timestamps: true});
 
 const User = mongoose.model("User", userSchema);
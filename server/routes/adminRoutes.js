@@ -0,0 +1,30 @@
+import express from "express";
+import { protectRoute, requireAdmin } from "../middleware/auth.js";
+import { listReports, resolveReport, triageReport } from "../controllers/reportController.js";
+import {
+  forceLogout,
+  getStats,
+  searchUsers,
+  sendPasswordReset,
+  suspendAccount,
+  unsuspendAccount,
+} from "../controllers/adminController.js";
+
+const adminRouter = express.Router();
+
+// every admin route needs a signed-in admin
+adminRouter.use(protectRoute, requireAdmin);
+
+adminRouter.get("/stats", getStats);
+
+adminRouter.get("/users", searchUsers);
+adminRouter.post("/users/:id/suspend", suspendAccount);
+adminRouter.post("/users/:id/unsuspend", unsuspendAccount);
+adminRouter.post("/users/:id/reset-password", sendPasswordReset);
+adminRouter.post("/users/:id/logout", forceLogout);
+
+adminRouter.get("/reports", listReports);
+adminRouter.patch("/reports/:id", triageReport);
+adminRouter.post("/reports/:id/resolve", resolveReport);
+
+export default adminRouter;
@@ -0,0 +1,25 @@
+import express from "express";
+import { protectRoute, requireVerifiedEmail } from "../middleware/auth.js";
+import {
+  addAdmin,
+  addMembers,
+  createGroup,
+  getConversations,
+  leaveGroup,
+  removeAdmin,
+  removeMember,
+  updateGroup,
+} from "../controllers/conversationController.js";
+
+const conversationRouter = express.Router();
+
+conversationRouter.get("/", protectRoute, getConversations);
+conversationRouter.post("/", protectRoute, requireVerifiedEmail, createGroup);
+conversationRouter.patch("/:id", protectRoute, requireVerifiedEmail, updateGroup);
+conversationRouter.post("/:id/members", protectRoute, requireVerifiedEmail, addMembers);
+conversationRouter.delete("/:id/members/:userId", protectRoute, removeMember);
+conversationRouter.put("/:id/admins/:userId", protectRoute, addAdmin);
+conversationRouter.delete("/:id/admins/:userId", protectRoute, removeAdmin);
+conversationRouter.post("/:id/leave", protectRoute, leaveGroup);
+
+export default conversationRouter;
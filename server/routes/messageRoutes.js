@@ -1,17 +1,27 @@
 import express from "express";
-import { protectRoute } from "../middleware/auth.js";
+import { protectRoute, requireVerifiedEmail } from "../middleware/auth.js";
 import {
+  deleteMessage,
+  editMessage,
+  getGroupMessages,
   getMessages,
   getUsersForSidebar,
   markMessageAsSeen,
+  sendGroupMessage,
   sendMessage,
+  toggleReaction,
 } from "../controllers/messageController.js";
 
 const messageRouter = express.Router();
 
 messageRouter.get("/users", protectRoute, getUsersForSidebar);
+messageRouter.get("/group/:id", protectRoute, getGroupMessages);
 messageRouter.get("/:id", protectRoute, getMessages);
 messageRouter.put("/mark/:id", protectRoute, markMessageAsSeen);
-messageRouter.post("/send/:id", protectRoute, sendMessage);
+messageRouter.post("/send/group/:id", protectRoute, requireVerifiedEmail, sendGroupMessage);
+messageRouter.post("/send/:id", protectRoute, requireVerifiedEmail, sendMessage);
+messageRouter.patch("/:messageId", protectRoute, requireVerifiedEmail, editMessage);
+messageRouter.delete("/:messageId", protectRoute, deleteMessage);
+messageRouter.post("/:messageId/reactions", protectRoute, requireVerifiedEmail, toggleReaction);
 
 export default messageRouter;
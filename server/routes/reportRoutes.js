@@ -0,0 +1,9 @@
+import express from "express";
+import { protectRoute, requireVerifiedEmail } from "../middleware/auth.js";
+import { createReport } from "../controllers/reportController.js";
+
+const reportRouter = express.Router();
+
+reportRouter.post("/", protectRoute, requireVerifiedEmail, createReport);
+
+export default reportRouter;
@@ -0,0 +1,28 @@
+import express from "express";
+import { protectRoute, requireVerifiedEmail } from "../middleware/auth.js";
+import {
+  cancelUpload,
+  completeUpload,
+  createUpload,
+  createUploadSession,
+  deleteUpload,
+  getUpload,
+  getUploadSession,
+  uploadChunk,
+} from "../controllers/uploadController.js";
+
+const uploadRouter = express.Router();
+
+uploadRouter.post("/", protectRoute, requireVerifiedEmail, createUpload);
+
+// resumable uploads, for large files
+uploadRouter.post("/sessions", protectRoute, requireVerifiedEmail, createUploadSession);
+uploadRouter.get("/sessions/:id", protectRoute, getUploadSession);
+uploadRouter.put("/sessions/:id", protectRoute, requireVerifiedEmail, uploadChunk);
+uploadRouter.post("/sessions/:id/complete", protectRoute, requireVerifiedEmail, completeUpload);
+uploadRouter.delete("/sessions/:id", protectRoute, cancelUpload);
+
+uploadRouter.get("/:id", protectRoute, getUpload);
+uploadRouter.delete("/:id", protectRoute, deleteUpload);
+
+export default uploadRouter;
@@ -1,14 +1,67 @@
 import express from "express";
-import { checkAuth, login, signup, updateProfile } from "../controllers/userController.js";
-import { protectRoute } from "../middleware/auth.js";
+import {
+  changePassword,
+  checkAuth,
+  forgotPassword,
+  getSessions,
+  login,
+  logout,
+  refresh,
+  resendVerification,
+  resetPassword,
+  revokeOtherSessions,
+  revokeSession,
+  signup,
+  signupPolicy,
+  updateProfile,
+  verifyEmail,
+} from "../controllers/userController.js";
+import {
+  disableTwoFactor,
+  enableTwoFactor,
+  setupTwoFactor,
+  verifyTwoFactorLogin,
+} from "../controllers/twoFactorController.js";
+import { createInvite, getInvites, revokeInvite } from "../controllers/inviteController.js";
+import { deleteAccount, exportAccountData } from "../controllers/accountController.js";
+import { blockUser, getBlockedUsers, unblockUser } from "../controllers/blockController.js";
+import { protectRoute, requireVerifiedEmail } from "../middleware/auth.js";
 
 const userRouter = express.Router();
 
+userRouter.get("/signup-policy", signupPolicy);
 userRouter.post("/signup", signup);
 userRouter.post("/login", login);
+userRouter.post("/login/2fa", verifyTwoFactorLogin);
+userRouter.post("/refresh", refresh);
+userRouter.post("/logout", logout);
+userRouter.post("/forgot-password", forgotPassword);
+userRouter.post("/reset-password", resetPassword);
+userRouter.post("/verify-email", verifyEmail);
 
 userRouter.put("/update-profile", protectRoute, updateProfile);
 userRouter.get("/check", protectRoute, checkAuth);
+userRouter.put("/change-password", protectRoute, changePassword);
+userRouter.post("/resend-verification", protectRoute, resendVerification);
+
+userRouter.post("/2fa/setup", protectRoute, setupTwoFactor);
+userRouter.post("/2fa/enable", protectRoute, enableTwoFactor);
+userRouter.post("/2fa/disable", protectRoute, disableTwoFactor);
+
+userRouter.get("/export", protectRoute, exportAccountData);
+userRouter.delete("/account", protectRoute, deleteAccount);
+
+userRouter.get("/blocked", protectRoute, getBlockedUsers);
+userRouter.put("/blocked/:id", protectRoute, blockUser);
+userRouter.delete("/blocked/:id", protectRoute, unblockUser);
+
+userRouter.get("/invites", protectRoute, getInvites);
+userRouter.post("/invites", protectRoute, requireVerifiedEmail, createInvite);
+userRouter.delete("/invites/:id", protectRoute, revokeInvite);
+
+userRouter.get("/sessions", protectRoute, getSessions);
+userRouter.delete("/sessions", protectRoute, revokeOtherSessions);
+userRouter.delete("/sessions/:id", protectRoute, revokeSession);
 
 export default userRouter;
 
@@ -5,6 +5,19 @@ import http from "http";
 import { connectDB } from "./lib/db.js";
 import userRouter from "./routes/userRoutes.js";
 import messageRouter from "./routes/messageRoutes.js";
+import conversationRouter from "./routes/conversationRoutes.js";
+import reportRouter from "./routes/reportRoutes.js";
+import adminRouter from "./routes/adminRoutes.js";
+import uploadRouter from "./routes/uploadRoutes.js";
+import Conversation from "./models/Conversation.js";
+import { conversationRoom, userRoom } from "./lib/conversations.js";
+import { markReceipts } from "./lib/receipts.js";
+import { registerTypingHandlers } from "./lib/typing.js";
+import { broadcastOnlineUsers, recordLastSeen } from "./lib/presence.js";
+import { protectSocket } from "./middleware/auth.js";
+import { sessionRoom } from "./lib/sessions.js";
+import { promoteConfiguredAdmins } from "./lib/admins.js";
+import { serveLocalUploads } from "./lib/storage.js";
 import { Server } from "socket.io";
 
 // Create Express app and HTTP server
@@ -19,24 +32,51 @@ export const io = new Server(server, {
 });
 
 // Store online users
-export const userSocketMap = {}; // {userId: socket}
+export const userSocketMap = {}; // {userId: Set of socket ids, one per connected device}
+
+// Only sockets carrying a valid token get connected
+io.use(protectSocket);
 
 // Socket.io connection handler
 
-io.on("connection", (socket) => {
-  const userId = socket.handshake.query.userId;
+io.on("connection", async (socket) => {
+  const userId = socket.data.userId;
   console.log("User connected", userId);
 
-  if (userId) userSocketMap[userId] = socket.id;
+  userSocketMap[userId] = userSocketMap[userId] || new Set();
+  userSocketMap[userId].add(socket.id);
+  socket.join([userRoom(userId), sessionRoom(socket.data.sessionId)]);
 
-  // Emit online users to all connected clients
-  io.emit("getOnlineUsers", Object.keys(userSocketMap));
+  // Emit online users to every connected client, as far as each one may see them
+  broadcastOnlineUsers().catch((error) => console.log(error.message));
 
-  socket.on("disconnect", () => {
+  socket.on("disconnect", async () => {
     console.log("User Disconnected", userId);
+    const sockets = userSocketMap[userId];
+    if (!sockets) return;
+    sockets.delete(socket.id);
+    // the user stays online while another device is still connected
+    if (sockets.size > 0) return;
     delete userSocketMap[userId];
-    io.emit("getOnlineUsers", Object.keys(userSocketMap));
+    try {
+      await recordLastSeen(userId);
+      await broadcastOnlineUsers();
+    } catch (error) {
+      console.log(error.message);
+    }
   });
+
+  registerTypingHandlers(socket);
+
+  // Join the rooms of every conversation the user belongs to,
+  // then mark what arrived while the user was offline as delivered
+  try {
+    const conversations = await Conversation.find({ members: userId }).select("_id");
+    socket.join(conversations.map((c) => conversationRoom(c._id)));
+    await markReceipts({}, userId);
+  } catch (error) {
+    console.log(error.message);
+  }
 });
 
 // Middleware setup
@@ -45,13 +85,19 @@ app.use(express.json({ limit: "4mb" }));
 app.use(cors());
 
 // Routes setup
+app.use("/uploads", serveLocalUploads);
 app.use("/api/status", (req, res) => res.send("Server is Live..!"));
 app.use("/api/auth", userRouter);
 app.use("/api/messages", messageRouter);
+app.use("/api/conversations", conversationRouter);
+app.use("/api/reports", reportRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/uploads", uploadRouter);
 
 //Connect to MongoDB
 
 await connectDB();
+await promoteConfiguredAdmins().catch((error) => console.log(error.message));
 
 if (process.env.NODE_ENV !== "production") {
   const PORT = process.env.PORT || 5000;